@@ -0,0 +1,158 @@
+/**
+ * Immediately Invoked Function Expression to encapsulate the FallbackInput module.
+ * Provides keyboard (arrow keys / WASD) and click-and-drag "virtual tilt" controls for devices
+ * without orientation sensors. Both write to the same sensorState.tilt the orientation handler uses.
+ */
+(function () {
+    /**
+     * Direction vectors for the supported keys.
+     * @type {Object<string, Array<number>>}
+     */
+    const KEY_DIRECTIONS = {
+        ArrowLeft: [-1, 0],
+        ArrowRight: [1, 0],
+        ArrowUp: [0, -1],
+        ArrowDown: [0, 1],
+        a: [-1, 0],
+        d: [1, 0],
+        w: [0, -1],
+        s: [0, 1]
+    };
+
+    /**
+     * Elements a pointer press on should not be treated as the start of a drag.
+     * @type {string}
+     */
+    const INTERACTIVE_SELECTOR = 'a, button, input, select, textarea, label, [role="dialog"]';
+
+    /**
+     * Maps a keyboard event to a key of KEY_DIRECTIONS.
+     * @param {KeyboardEvent} event - The keyboard event.
+     * @returns {string|null} The direction key or null if the key is not a control key.
+     */
+    function directionKey(event) {
+        if (KEY_DIRECTIONS[event.key]) return event.key;
+        const lower = (event.key || '').toLowerCase();
+        return KEY_DIRECTIONS[lower] ? lower : null;
+    }
+
+    /**
+     * Attaches keyboard and drag controls that feed the given sensor state.
+     * @param {Object} sensorState - The sensor state whose normalized tilt ({ x, y }, components in [-1, 1]) is updated.
+     * @param {Object} [options={}] - Configuration options.
+     * @param {number} [options.dragRadius=80] - Drag distance in CSS pixels that equals full tilt.
+     * @param {EventTarget} [options.dragTarget=window] - Element that receives drag gestures.
+     * @param {function(): void} [options.onActivity] - Called whenever the player presses a control key or drags.
+     * @returns {function(): void} A function that detaches all listeners again.
+     */
+    function attach(sensorState, options = {}) {
+        const opts = Object.assign({ dragRadius: 80, dragTarget: window }, options);
+        const pressed = new Set();
+        let drag = null; // { id, x, y }
+        const pointers = new Set(); // ids of the pointers pressed on the drag target
+
+        const setTilt = (x, y) => {
+            sensorState.available = true;
+            sensorState.tilt.x = x;
+            sensorState.tilt.y = y;
+        };
+
+        const applyKeys = () => {
+            let x = 0;
+            let y = 0;
+            pressed.forEach(key => {
+                x += KEY_DIRECTIONS[key][0];
+                y += KEY_DIRECTIONS[key][1];
+            });
+            // Keep diagonals at the same strength as a single direction
+            const len = Math.hypot(x, y);
+            if (len > 1) {
+                x /= len;
+                y /= len;
+            }
+            setTilt(x, y);
+        };
+
+        const onKeyDown = (ev) => {
+            const key = directionKey(ev);
+            if (!key) return;
+            ev.preventDefault();
+            pressed.add(key);
+            if (opts.onActivity) opts.onActivity();
+            applyKeys();
+        };
+
+        const onKeyUp = (ev) => {
+            const key = directionKey(ev);
+            if (!key) return;
+            pressed.delete(key);
+            applyKeys();
+        };
+
+        const onBlur = () => {
+            pressed.clear();
+            pointers.clear();
+            drag = null;
+            setTilt(0, 0);
+        };
+
+        const onPointerDown = (ev) => {
+            pointers.add(ev.pointerId);
+            // A second finger starts a gesture like pinch-zooming: stop steering until all fingers are lifted
+            if (pointers.size > 1) {
+                if (drag) {
+                    drag = null;
+                    applyKeys();
+                }
+                return;
+            }
+            if (ev.button !== undefined && ev.button !== 0) return;
+            if (ev.target && typeof ev.target.closest === 'function' && ev.target.closest(INTERACTIVE_SELECTOR)) return;
+            drag = { id: ev.pointerId, x: ev.clientX, y: ev.clientY };
+        };
+
+        const onPointerMove = (ev) => {
+            if (!drag || ev.pointerId !== drag.id) return;
+            let x = (ev.clientX - drag.x) / opts.dragRadius;
+            let y = (ev.clientY - drag.y) / opts.dragRadius;
+            const len = Math.hypot(x, y);
+            if (len > 1) {
+                x /= len;
+                y /= len;
+            }
+            if (opts.onActivity) opts.onActivity();
+            setTilt(x, y);
+        };
+
+        const onPointerUp = (ev) => {
+            pointers.delete(ev.pointerId);
+            if (!drag || ev.pointerId !== drag.id) return;
+            drag = null;
+            applyKeys();
+        };
+
+        window.addEventListener('keydown', onKeyDown);
+        window.addEventListener('keyup', onKeyUp);
+        window.addEventListener('blur', onBlur);
+        opts.dragTarget.addEventListener('pointerdown', onPointerDown);
+        window.addEventListener('pointermove', onPointerMove);
+        window.addEventListener('pointerup', onPointerUp);
+        window.addEventListener('pointercancel', onPointerUp);
+        sensorState.available = true;
+
+        return () => {
+            window.removeEventListener('keydown', onKeyDown);
+            window.removeEventListener('keyup', onKeyUp);
+            window.removeEventListener('blur', onBlur);
+            opts.dragTarget.removeEventListener('pointerdown', onPointerDown);
+            window.removeEventListener('pointermove', onPointerMove);
+            window.removeEventListener('pointerup', onPointerUp);
+            window.removeEventListener('pointercancel', onPointerUp);
+            onBlur();
+        };
+    }
+
+    // Expose the attach function on the global FallbackInput object
+    window.FallbackInput = window.FallbackInput || {};
+    window.FallbackInput.attach = attach;
+})();
@@ -0,0 +1,125 @@
+/**
+ * Immediately Invoked Function Expression to encapsulate the GamepadInput module.
+ * Polls the Gamepad API while a controller is connected and maps the analog sticks (and d-pad)
+ * to a tilt vector. The start and select buttons are reported as pause and restart actions.
+ */
+(function () {
+    /**
+     * Button indices of the standard gamepad mapping.
+     * @type {Object<string, number>}
+     */
+    const BUTTONS = { select: 8, start: 9, up: 12, down: 13, left: 14, right: 15 };
+
+    /**
+     * Reads a stick as a vector with a radial dead zone, rescaled so output starts at 0 past the dead zone.
+     * @param {Gamepad} pad - The gamepad.
+     * @param {number} xAxis - Index of the horizontal axis.
+     * @param {number} yAxis - Index of the vertical axis.
+     * @param {number} deadZone - Dead zone radius in [0, 1).
+     * @returns {Object} The stick vector ({ x, y }), length at most 1.
+     */
+    function readStick(pad, xAxis, yAxis, deadZone) {
+        const x = pad.axes[xAxis] || 0;
+        const y = pad.axes[yAxis] || 0;
+        const len = Math.hypot(x, y);
+        if (len <= deadZone) return { x: 0, y: 0 };
+        const scaled = Math.min(1, (len - deadZone) / (1 - deadZone));
+        return { x: x / len * scaled, y: y / len * scaled };
+    }
+
+    /**
+     * Checks if a button is held down.
+     * @param {Gamepad} pad - The gamepad.
+     * @param {number} index - The button index.
+     * @returns {boolean} True if the button is pressed, false otherwise.
+     */
+    function isPressed(pad, index) {
+        const btn = pad.buttons[index];
+        return !!(btn && (btn.pressed || btn.value > 0.5));
+    }
+
+    /**
+     * Reads the tilt vector of a gamepad: the more deflected of both sticks, or the d-pad.
+     * @param {Gamepad} pad - The gamepad.
+     * @param {number} deadZone - Stick dead zone radius.
+     * @returns {Object} The tilt vector ({ x, y }), length at most 1.
+     */
+    function readTilt(pad, deadZone) {
+        const left = readStick(pad, 0, 1, deadZone);
+        const right = pad.axes.length >= 4 ? readStick(pad, 2, 3, deadZone) : { x: 0, y: 0 };
+        const stick = Math.hypot(right.x, right.y) > Math.hypot(left.x, left.y) ? right : left;
+        if (stick.x || stick.y) return stick;
+        let x = (isPressed(pad, BUTTONS.right) ? 1 : 0) - (isPressed(pad, BUTTONS.left) ? 1 : 0);
+        let y = (isPressed(pad, BUTTONS.down) ? 1 : 0) - (isPressed(pad, BUTTONS.up) ? 1 : 0);
+        const len = Math.hypot(x, y);
+        if (len > 1) {
+            x /= len;
+            y /= len;
+        }
+        return { x, y };
+    }
+
+    /**
+     * Starts polling connected gamepads.
+     * @param {Object} handlers - Callbacks for gamepad input.
+     * @param {function(number, number): void} handlers.onTilt - Called with the tilt vector (components in [-1, 1]) every poll.
+     * @param {function(): void} [handlers.onActivity] - Called whenever a stick is deflected or a button is pressed.
+     * @param {function(): void} [handlers.onPause] - Called when start is pressed.
+     * @param {function(): void} [handlers.onRestart] - Called when select is pressed.
+     * @param {Object} [options={}] - Configuration options.
+     * @param {number} [options.deadZone=0.15] - Stick dead zone radius.
+     * @returns {function(): void} A function that stops polling again.
+     */
+    function attach(handlers, options = {}) {
+        const opts = Object.assign({ deadZone: 0.15 }, options);
+        if (!navigator.getGamepads) return () => {};
+        const previous = new Map(); // pad index -> { start, select }
+        let pollId = null;
+
+        const poll = () => {
+            pollId = null;
+            const pads = Array.from(navigator.getGamepads() || []).filter(Boolean);
+            let tilt = { x: 0, y: 0 };
+            pads.forEach(pad => {
+                const padTilt = readTilt(pad, opts.deadZone);
+                if (Math.hypot(padTilt.x, padTilt.y) > Math.hypot(tilt.x, tilt.y)) tilt = padTilt;
+                const state = { start: isPressed(pad, BUTTONS.start), select: isPressed(pad, BUTTONS.select) };
+                const prev = previous.get(pad.index) || { start: false, select: false };
+                if (pad.buttons.some(b => b && b.pressed)) {
+                    if (handlers.onActivity) handlers.onActivity();
+                }
+                if (state.start && !prev.start && handlers.onPause) handlers.onPause();
+                if (state.select && !prev.select && handlers.onRestart) handlers.onRestart();
+                previous.set(pad.index, state);
+            });
+            if ((tilt.x || tilt.y) && handlers.onActivity) handlers.onActivity();
+            handlers.onTilt(tilt.x, tilt.y);
+            if (pads.length) pollId = requestAnimationFrame(poll);
+        };
+
+        const startPolling = () => {
+            if (pollId === null) pollId = requestAnimationFrame(poll);
+        };
+
+        const onDisconnected = (ev) => {
+            previous.delete(ev.gamepad.index);
+        };
+
+        window.addEventListener('gamepadconnected', startPolling);
+        window.addEventListener('gamepaddisconnected', onDisconnected);
+        // A pad may already be connected (and have been used) before this page loaded
+        startPolling();
+
+        return () => {
+            window.removeEventListener('gamepadconnected', startPolling);
+            window.removeEventListener('gamepaddisconnected', onDisconnected);
+            if (pollId !== null) cancelAnimationFrame(pollId);
+            pollId = null;
+            handlers.onTilt(0, 0);
+        };
+    }
+
+    // Expose the attach function on the global GamepadInput object
+    window.GamepadInput = window.GamepadInput || {};
+    window.GamepadInput.attach = attach;
+})();
@@ -18,6 +18,38 @@ function loadCompletionTimes() {
     }
 }
 
+/**
+ * Key used to store the most collectibles picked up per level in localStorage.
+ */
+const COLLECTED_STORAGE_KEY = 'levelCollectedBest';
+
+/**
+ * Loads the most collectibles picked up per level from localStorage.
+ * @returns {Object} An object mapping level numbers to { collected, total }.
+ */
+function loadCollectedBest() {
+    try {
+        const raw = localStorage.getItem(COLLECTED_STORAGE_KEY);
+        if (!raw) return {};
+        const parsed = JSON.parse(raw);
+        return (parsed && typeof parsed === 'object') ? parsed : {};
+    } catch (_) {
+        return {};
+    }
+}
+
+/**
+ * Counts the collectibles of a level the way the game does: on the grid with its switches laid out.
+ * @param level - Level data containing the grid and switches.
+ * @returns {number} The number of collectibles.
+ */
+function countLevelCollectibles(level) {
+    if (!Array.isArray(level.grid) || !level.grid.length) return 0;
+    const physics = window.MarblePhysics;
+    const switches = physics.validateSwitches(level.switches, level.grid).switches;
+    return physics.countCollectibles(physics.applySwitchLayout(level.grid, switches));
+}
+
 /**
  * Formats a time duration in milliseconds into a string (MM:SS.hh).
  * @param {number|null} ms - Time in milliseconds.
@@ -52,7 +84,7 @@ function difficultyBadgeClass(diff) {
 }
 
 /**
- * Renders a grid preview for a level using the shared LevelRenderer.
+ * Renders a grid preview for a level using the shared LevelRenderer, in the theme the level will be played with.
  * @param level - Level data containing the grid and name.
  * @returns {HTMLCanvasElement|null} A canvas element with the rendered grid or null if rendering fails.
  */
@@ -66,7 +98,10 @@ function renderGamePreview(level) {
                 maxWidth: 220,
                 maxHeight: 140,
                 minCell: 4,
-                drawGridLines: true
+                drawGridLines: true,
+                // Same theme and marble numbering the level is played with
+                theme: window.LevelRenderer.resolveTheme(window.LevelRenderer.loadThemeSetting(), level.theme),
+                pairs: window.MarblePhysics.pairStartsAndGoals(level.grid, level.pairs).pairs
             });
             return canvas;
         } catch (e) {
@@ -76,13 +111,38 @@ function renderGamePreview(level) {
     }
 }
 
+/**
+ * Checks if a level is a dark (fog-of-war) level whose layout should not be shown on its card.
+ * @param {Object} level - Level data.
+ * @returns {boolean} True if the preview should be hidden, false otherwise.
+ */
+function hidesPreview(level) {
+    return !!(level.fog && typeof level.fog === 'object' && level.fog.hidePreview === true);
+}
+
+/**
+ * Creates the placeholder shown instead of the preview of a dark level.
+ * @param {Object} level - Level data containing the name.
+ * @returns {HTMLElement} The placeholder element.
+ */
+function renderHiddenPreview(level) {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'mb-3 rounded border bg-dark text-white-50 d-flex align-items-center justify-content-center small';
+    placeholder.style.height = '140px';
+    placeholder.setAttribute('role', 'img');
+    placeholder.setAttribute('aria-label', `Preview for ${level.name || 'level ' + level.level} is hidden`);
+    placeholder.textContent = 'Dark level \u00b7 layout hidden';
+    return placeholder;
+}
+
 /**
  * Creates a level card element.
  * @param {Object} level - Level data including name, difficulty, and grid.
  * @param {Object} completionTimes - Mapping of level numbers to completion times.
+ * @param {Object} [collectedBest] - Mapping of level numbers to the most collectibles picked up ({ collected, total }).
  * @returns {HTMLElement} A column element containing the level card.
  */
-function createLevelCard(level, completionTimes) {
+function createLevelCard(level, completionTimes, collectedBest) {
     const col = document.createElement('div');
     col.className = 'col-12 col-sm-6 col-md-4 mb-4 d-flex';
 
@@ -94,8 +154,8 @@ function createLevelCard(level, completionTimes) {
     const cardBody = document.createElement('div');
     cardBody.className = 'card-body d-flex flex-column';
 
-    // Grid preview: render a small canvas with preview of the level layout.
-    let preview = renderGamePreview(level);
+    // Grid preview: render a small canvas with preview of the level layout, unless a dark level hides it.
+    let preview = hidesPreview(level) ? renderHiddenPreview(level) : renderGamePreview(level);
 
     // Title row: left side contains the H5 title + difficulty badge; right side holds the Completed badge
     const titleRow = document.createElement('div');
@@ -141,6 +201,13 @@ function createLevelCard(level, completionTimes) {
     meta.className = 'mb-2 text-muted small';
     const ms = completionTimes ? completionTimes[level.level] : null;
     meta.textContent = 'Best time: ' + formatMs(ms);
+    const total = countLevelCollectibles(level);
+    if (total > 0) {
+        const best = collectedBest ? collectedBest[level.level] : null;
+        // Records from before the level was edited do not count
+        const collected = (best && best.total === total) ? best.collected : 0;
+        meta.textContent += ` \u00b7 collected best: ${collected}/${total}`;
+    }
 
     // Make the whole card act as the play action instead of a separate button.
     // Build the target URL once.
@@ -195,9 +262,14 @@ document.addEventListener('DOMContentLoaded', () => {
             }
 
             const completionTimes = loadCompletionTimes();
+            const collectedBest = loadCollectedBest();
+            // Previews use the player's color-blind palette and tile patterns, like the play page
+            if (window.LevelRenderer && window.LevelRenderer.setAccessibility) {
+                window.LevelRenderer.setAccessibility(window.LevelRenderer.loadAccessibility());
+            }
 
             levels.forEach(level => {
-                const cardCol = createLevelCard(level, completionTimes);
+                const cardCol = createLevelCard(level, completionTimes, collectedBest);
                 row.appendChild(cardCol);
             });
         })
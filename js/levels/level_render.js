@@ -1,7 +1,949 @@
 /**
  * Immediately Invoked Function Expression to encapsulate the LevelRenderer module.
+ * Tells keys and doors apart with MarblePhysics, so marble_physics.js has to be loaded first.
  */
 (function(){
+  /**
+   * Named visual themes. Each defines the fill colors of the grid tiles keyed by grid character (characters without
+   * their own fill, like '-' or '*', use the floor '.'; all boosters use '>'), the grid line color, the marble style
+   * (fill per marble index, outline, label color, and optional glow or shine), the page background behind the maze,
+   * the key/door pair colors (picked by letter), the teleporter pair colors (indexed by digit), the darkness of
+   * fog-of-war levels and the veil over the unexplored parts of the minimap.
+   * @type {Object<string, Object>}
+   */
+  const THEMES = {
+    classic: {
+      label: 'Classic',
+      tiles: {
+        '#': '#dc3545', 'S': '#0d6efd', 'G': '#198754', '.': '#f8f9fa', 'O': '#212529', '+': '#fff3cd',
+        '~': '#d6ecfa', ':': '#ecd9a4', '%': '#7f5539', '>': '#e0cffc', '=': '#0aa2c0'
+      },
+      gridLine: 'rgba(0,0,0,0.06)',
+      background: '#f8f9fa',
+      keys: ['#fd7e14', '#6610f2', '#20c997', '#d63384', '#0dcaf0', '#ffc107', '#6c757d'],
+      teleporters: ['#0dcaf0', '#d63384', '#20c997', '#fd7e14', '#6610f2', '#ffc107', '#0d6efd', '#198754', '#6f42c1', '#adb5bd'],
+      fog: '#0b0d10',
+      veil: 'rgba(73,80,87,0.85)',
+      ball: {
+        colors: ['#212529', '#0d6efd', '#d63384', '#fd7e14', '#6f42c1', '#20c997'],
+        stroke: '#f8f9fa', strokeWidth: 0.1, label: '#ffffff', glow: false, shine: false
+      }
+    },
+    wood: {
+      label: 'Wood',
+      tiles: {
+        '#': '#6f4e37', 'S': '#2f6690', 'G': '#3a7d44', '.': '#e8d2a6', 'O': '#2b1d14', '+': '#f6e7b4',
+        '~': '#cfe3ea', ':': '#d9b97a', '%': '#5c3d24', '>': '#d6c1dd', '=': '#8a5a44'
+      },
+      gridLine: 'rgba(60,36,21,0.15)',
+      background: '#c8a27a',
+      keys: ['#d4722b', '#5b3f8c', '#4f8a5b', '#a8385d', '#3f88a6', '#c9a227', '#7a6a58'],
+      teleporters: ['#3f88a6', '#a8385d', '#4f8a5b', '#d4722b', '#5b3f8c', '#c9a227', '#2f6690', '#3a7d44', '#7b4b94', '#a89f91'],
+      fog: '#1e140c',
+      veil: 'rgba(59,42,26,0.85)',
+      ball: {
+        colors: ['#8d99ae', '#2f6690', '#9e2a2b', '#e09f3e', '#540b0e', '#335c67'],
+        stroke: '#3b2a1a', strokeWidth: 0.08, label: '#ffffff', glow: false, shine: true
+      }
+    },
+    neon: {
+      label: 'Neon',
+      tiles: {
+        '#': '#ff2a6d', 'S': '#05d9e8', 'G': '#39ff14', '.': '#0d0221', 'O': '#000000', '+': '#2b1a4a',
+        '~': '#1b3a5c', ':': '#4a3b12', '%': '#2e1a0e', '>': '#3a1d6e', '=': '#01c5c4'
+      },
+      gridLine: 'rgba(5,217,232,0.15)',
+      background: '#05010f',
+      keys: ['#ff9f1c', '#b967ff', '#39ff14', '#ff2a6d', '#05d9e8', '#f9f871', '#c0c0ff'],
+      teleporters: ['#05d9e8', '#ff2a6d', '#39ff14', '#ff9f1c', '#b967ff', '#f9f871', '#2de2e6', '#7cff6b', '#d300c5', '#e0e0ff'],
+      fog: '#000000',
+      veil: 'rgba(13,2,33,0.85)',
+      ball: {
+        colors: ['#f9f871', '#05d9e8', '#ff2a6d', '#ff9f1c', '#b967ff', '#39ff14'],
+        stroke: '#ffffff', strokeWidth: 0.06, label: '#0d0221', glow: true, shine: false
+      }
+    },
+    'high-contrast': {
+      label: 'High contrast',
+      tiles: {
+        '#': '#000000', 'S': '#0033cc', 'G': '#006600', '.': '#ffffff', 'O': '#000000', '+': '#ffe066',
+        '~': '#99ccff', ':': '#ffcc66', '%': '#663300', '>': '#cc99ff', '=': '#005f73'
+      },
+      gridLine: 'rgba(0,0,0,0.35)',
+      background: '#ffffff',
+      keys: ['#cc5500', '#5500aa', '#006666', '#cc0066', '#0066cc', '#997700', '#333333'],
+      teleporters: ['#0066cc', '#cc0066', '#006666', '#cc5500', '#5500aa', '#997700', '#0033cc', '#006600', '#660099', '#555555'],
+      fog: '#000000',
+      veil: 'rgba(0,0,0,0.85)',
+      ball: {
+        colors: ['#000000', '#0033cc', '#cc0066', '#cc5500', '#5500aa', '#006666'],
+        stroke: '#ffcc00', strokeWidth: 0.2, label: '#ffffff', glow: false, shine: false
+      }
+    },
+    dark: {
+      label: 'Dark',
+      tiles: {
+        '#': '#b02a37', 'S': '#3d8bfd', 'G': '#20c997', '.': '#2b3035', 'O': '#000000', '+': '#5c4a1a',
+        '~': '#2c4a5e', ':': '#6b5a2e', '%': '#4a3322', '>': '#3d2e5c', '=': '#087990'
+      },
+      gridLine: 'rgba(255,255,255,0.06)',
+      background: '#212529',
+      keys: ['#feb272', '#a98eda', '#79dfc1', '#e685b5', '#6edff6', '#ffda6a', '#adb5bd'],
+      teleporters: ['#6edff6', '#e685b5', '#79dfc1', '#feb272', '#a98eda', '#ffda6a', '#6ea8fe', '#75b798', '#c29ffa', '#dee2e6'],
+      fog: '#000000',
+      veil: 'rgba(33,37,41,0.9)',
+      ball: {
+        colors: ['#f8f9fa', '#6ea8fe', '#e685b5', '#feb272', '#a98eda', '#79dfc1'],
+        stroke: '#212529', strokeWidth: 0.1, label: '#212529', glow: false, shine: false
+      }
+    }
+  };
+
+  /**
+   * Color-blind safe palettes. Each replaces the colors that only differ in hue in the usual themes (walls, start,
+   * goal, switch walls and the marbles) with ones that people with that color vision deficiency can tell apart,
+   * on top of whichever theme is active.
+   * @type {Object<string, Object>}
+   */
+  const PALETTES = {
+    protanopia: {
+      label: 'Protanopia (red-blind)',
+      tiles: { '#': '#0072b2', 'S': '#56b4e9', 'G': '#e69f00', '=': '#cc79a7' },
+      marbles: ['#000000', '#0072b2', '#e69f00', '#56b4e9', '#cc79a7', '#f0e442']
+    },
+    deuteranopia: {
+      label: 'Deuteranopia (green-blind)',
+      tiles: { '#': '#4477aa', 'S': '#66ccee', 'G': '#ccbb44', '=': '#aa3377' },
+      marbles: ['#000000', '#4477aa', '#ccbb44', '#66ccee', '#aa3377', '#bbbbbb']
+    },
+    tritanopia: {
+      label: 'Tritanopia (blue-blind)',
+      tiles: { '#': '#882255', 'S': '#33bbee', 'G': '#ee7733', '=': '#555555' },
+      marbles: ['#000000', '#882255', '#ee7733', '#33bbee', '#555555', '#cc3311']
+    }
+  };
+
+  /**
+   * Key used to store the player's color vision settings in localStorage.
+   * @type {string}
+   */
+  const ACCESSIBILITY_STORAGE_KEY = 'colorVision';
+
+  /**
+   * Default color vision settings.
+   * palette: 'none' or a key of PALETTES; patterns: draw glyphs and patterns that tell tiles apart without color.
+   * @type {{palette: string, patterns: boolean}}
+   */
+  const ACCESSIBILITY_DEFAULTS = { palette: 'none', patterns: false };
+
+  /**
+   * Color vision settings used by all render calls, set by setAccessibility.
+   * @type {{palette: string, patterns: boolean}}
+   */
+  let accessibility = Object.assign({}, ACCESSIBILITY_DEFAULTS);
+
+  /**
+   * Theme used when neither the player nor the level picks a valid one.
+   * @type {string}
+   */
+  const DEFAULT_THEME = 'classic';
+
+  /**
+   * Key used to store the player's theme choice in localStorage: 'auto' (the level's suggestion) or a theme name.
+   * @type {string}
+   */
+  const THEME_STORAGE_KEY = 'theme';
+
+  /**
+   * Theme used when a render call does not name one, set by setTheme.
+   * @type {Object}
+   */
+  let activeTheme = THEMES[DEFAULT_THEME];
+
+  /**
+   * The active theme with the active color-blind palette applied, kept up to date by setTheme and setAccessibility
+   * so render calls do not merge them again.
+   * @type {Object}
+   */
+  let activeThemeData = withPalette(activeTheme);
+
+  /**
+   * Checks if a name is one of the THEMES.
+   * Exposed as LevelRenderer.isTheme(name).
+   *
+   * @param {*} name - The name to check.
+   * @returns {boolean} True if a theme has that name, false otherwise.
+   */
+  function isTheme(name){
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(THEMES, name);
+  }
+
+  /**
+   * Picks the theme to render a level with: the player's choice, else the level's suggestion, else the default.
+   * Exposed as LevelRenderer.resolveTheme(setting, suggested).
+   *
+   * @param {string} setting - The player's theme setting ('auto' or a theme name).
+   * @param {string} [suggested] - The theme the level suggests.
+   * @returns {string} The theme name.
+   */
+  function resolveTheme(setting, suggested){
+    if (isTheme(setting)) return setting;
+    return isTheme(suggested) ? suggested : DEFAULT_THEME;
+  }
+
+  /**
+   * Loads the player's theme setting from localStorage.
+   * Exposed as LevelRenderer.loadThemeSetting().
+   *
+   * @returns {string} 'auto' or a theme name.
+   */
+  function loadThemeSetting(){
+    try {
+      const raw = localStorage.getItem(THEME_STORAGE_KEY);
+      return isTheme(raw) ? raw : 'auto';
+    } catch (_) {
+      return 'auto';
+    }
+  }
+
+  /**
+   * Persists the player's theme setting to localStorage.
+   * Exposed as LevelRenderer.saveThemeSetting(setting).
+   *
+   * @param {string} setting - 'auto' or a theme name.
+   */
+  function saveThemeSetting(setting){
+    try { localStorage.setItem(THEME_STORAGE_KEY, isTheme(setting) ? setting : 'auto'); } catch (_) {}
+  }
+
+  /**
+   * Sets the theme used by all render calls that do not name one.
+   * Exposed as LevelRenderer.setTheme(name).
+   *
+   * @param {string} name - The theme name; unknown names select the default theme.
+   * @returns {Object} The theme now active, with the active color-blind palette applied.
+   */
+  function setTheme(name){
+    activeTheme = THEMES[isTheme(name) ? name : DEFAULT_THEME];
+    activeThemeData = withPalette(activeTheme);
+    return activeThemeData;
+  }
+
+  /**
+   * Gets the active theme with the active color-blind palette applied, e.g. for its page background.
+   * Exposed as LevelRenderer.getTheme().
+   *
+   * @returns {Object} The theme (see THEMES).
+   */
+  function getTheme(){
+    return activeThemeData;
+  }
+
+  /**
+   * Applies the active color-blind palette to a theme.
+   * @param {Object} theme - The theme.
+   * @returns {Object} The theme itself without a palette, else a copy with the palette's colors.
+   */
+  function withPalette(theme){
+    const palette = PALETTES[accessibility.palette];
+    if (!palette) return theme;
+    return Object.assign({}, theme, {
+      tiles: Object.assign({}, theme.tiles, palette.tiles),
+      ball: Object.assign({}, theme.ball, { colors: palette.marbles })
+    });
+  }
+
+  /**
+   * Validates color vision settings, replacing missing or invalid values with defaults.
+   * Exposed as LevelRenderer.sanitizeAccessibility(settings).
+   *
+   * @param {Object} settings - The settings to validate.
+   * @returns {{palette: string, patterns: boolean}} A complete, valid settings object.
+   */
+  function sanitizeAccessibility(settings){
+    const result = Object.assign({}, ACCESSIBILITY_DEFAULTS);
+    if (!settings || typeof settings !== 'object') return result;
+    if (Object.prototype.hasOwnProperty.call(PALETTES, settings.palette)) result.palette = settings.palette;
+    result.patterns = !!settings.patterns;
+    return result;
+  }
+
+  /**
+   * Loads the player's color vision settings from localStorage.
+   * Exposed as LevelRenderer.loadAccessibility().
+   *
+   * @returns {{palette: string, patterns: boolean}} The settings, with defaults for anything not stored.
+   */
+  function loadAccessibility(){
+    try {
+      const raw = localStorage.getItem(ACCESSIBILITY_STORAGE_KEY);
+      return sanitizeAccessibility(raw ? JSON.parse(raw) : null);
+    } catch (_) {
+      return sanitizeAccessibility(null);
+    }
+  }
+
+  /**
+   * Persists the player's color vision settings to localStorage.
+   * Exposed as LevelRenderer.saveAccessibility(settings).
+   *
+   * @param {Object} settings - The settings.
+   */
+  function saveAccessibility(settings){
+    try { localStorage.setItem(ACCESSIBILITY_STORAGE_KEY, JSON.stringify(sanitizeAccessibility(settings))); } catch (_) {}
+  }
+
+  /**
+   * Sets the color vision settings used by all render calls.
+   * Exposed as LevelRenderer.setAccessibility(settings).
+   *
+   * @param {Object} settings - The settings (see ACCESSIBILITY_DEFAULTS).
+   */
+  function setAccessibility(settings){
+    accessibility = sanitizeAccessibility(settings);
+    activeThemeData = withPalette(activeTheme);
+  }
+
+  /**
+   * Gets the fill color of a grid character in a theme.
+   * @param {Object} theme - The theme.
+   * @param {string} ch - The grid character.
+   * @returns {string} The fill color; the floor color for characters without their own.
+   */
+  function tileColor(theme, ch){
+    if (ch in theme.tiles) return theme.tiles[ch];
+    if (ch in BOOSTER_ANGLES) return theme.tiles['>'];
+    return theme.tiles['.'];
+  }
+
+  /**
+   * Gets the key/door color of a letter grid character, picked by letter so a key and its doors always share a color.
+   * @param {Object} theme - The theme.
+   * @param {string} ch - The grid character.
+   * @returns {string|null} The color, or null if the character is neither a key nor a door.
+   */
+  function keyColor(theme, ch){
+    if (!window.MarblePhysics.isDoor(ch) && !window.MarblePhysics.isKey(ch)) return null;
+    return theme.keys[(ch.toUpperCase().charCodeAt(0) - 65) % theme.keys.length];
+  }
+
+  /**
+   * Rotation (in radians) of the arrow on each booster tile; 0 points right.
+   * @type {Object<string, number>}
+   */
+  const BOOSTER_ANGLES = { '>': 0, 'v': Math.PI / 2, '<': Math.PI, '^': -Math.PI / 2 };
+
+  /**
+   * Draws a chevron pointing right, rotated by the given angle around (cx, cy).
+   * @param {CanvasRenderingContext2D} ctx - The 2D context to draw on.
+   * @param {number} cx - The x coordinate of the chevron centre.
+   * @param {number} cy - The y coordinate of the chevron centre.
+   * @param {number} size - The chevron size in CSS pixels.
+   * @param {number} angle - The rotation in radians.
+   */
+  function drawChevron(ctx, cx, cy, size, angle){
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(angle);
+    ctx.beginPath();
+    ctx.moveTo(-size * 0.25, -size * 0.4);
+    ctx.lineTo(size * 0.2, 0);
+    ctx.lineTo(-size * 0.25, size * 0.4);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Deterministic pseudo-random number for a cell, so textures look the same in every render.
+   * @param {number} c - The column index.
+   * @param {number} r - The row index.
+   * @param {number} i - Index of the value for this cell.
+   * @returns {number} A number in [0, 1).
+   */
+  function cellNoise(c, r, i){
+    const n = Math.sin(c * 127.1 + r * 311.7 + i * 74.7) * 43758.5453;
+    return n - Math.floor(n);
+  }
+
+  /**
+   * Draws the texture of a surface tile (ice streaks, sand grains or mud blobs) on top of its fill.
+   * @param {CanvasRenderingContext2D} ctx - The 2D context to draw on.
+   * @param {string} ch - The surface grid character.
+   * @param {number} c - The column index of the cell.
+   * @param {number} r - The row index of the cell.
+   * @param {number} cellSize - The size of a cell in CSS pixels.
+   */
+  function drawSurfaceTexture(ctx, ch, c, r, cellSize){
+    const x = c * cellSize;
+    const y = r * cellSize;
+    if (ch === '~'){
+        ctx.strokeStyle = 'rgba(255,255,255,0.9)';
+        ctx.lineWidth = Math.max(1, cellSize * 0.05);
+        ctx.beginPath();
+        for (let i = 0; i < 2; i++){
+            const off = (0.3 + i * 0.35 + cellNoise(c, r, i) * 0.1) * cellSize;
+            ctx.moveTo(x + off - cellSize * 0.15, y + cellSize * 0.75);
+            ctx.lineTo(x + off + cellSize * 0.15, y + cellSize * 0.25);
+        }
+        ctx.stroke();
+    } else if (ch === ':' || ch === '%'){
+        const count = ch === ':' ? 5 : 3;
+        const size = ch === ':' ? 0.05 : 0.14;
+        ctx.fillStyle = ch === ':' ? 'rgba(140,105,40,0.6)' : 'rgba(60,36,21,0.7)';
+        for (let i = 0; i < count; i++){
+            ctx.beginPath();
+            ctx.arc(x + (0.15 + cellNoise(c, r, i) * 0.7) * cellSize, y + (0.15 + cellNoise(c, r, i + 7) * 0.7) * cellSize, Math.max(0.5, cellSize * size), 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+  }
+
+  /**
+   * Draws a brick pattern over a wall cell, so walls are recognisable without their color.
+   * @param {CanvasRenderingContext2D} ctx - The 2D context to draw on.
+   * @param {number} x - The x coordinate of the cell's top-left corner.
+   * @param {number} y - The y coordinate of the cell's top-left corner.
+   * @param {number} cellSize - The size of a cell in CSS pixels.
+   */
+  function drawBricks(ctx, x, y, cellSize){
+    ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+    ctx.lineWidth = Math.max(1, cellSize * 0.05);
+    ctx.beginPath();
+    ctx.moveTo(x, y + cellSize * 0.5);
+    ctx.lineTo(x + cellSize, y + cellSize * 0.5);
+    // Joints of the two courses are offset by half a brick
+    ctx.moveTo(x + cellSize * 0.5, y);
+    ctx.lineTo(x + cellSize * 0.5, y + cellSize * 0.5);
+    ctx.moveTo(x + cellSize * 0.05, y + cellSize * 0.5);
+    ctx.lineTo(x + cellSize * 0.05, y + cellSize);
+    ctx.moveTo(x + cellSize * 0.95, y + cellSize * 0.5);
+    ctx.lineTo(x + cellSize * 0.95, y + cellSize);
+    ctx.stroke();
+  }
+
+  /**
+   * Draws a checkered finish flag pattern in a square, marking goal cells without relying on their color.
+   * @param {CanvasRenderingContext2D} ctx - The 2D context to draw on.
+   * @param {number} x - The x coordinate of the square's top-left corner.
+   * @param {number} y - The y coordinate of the square's top-left corner.
+   * @param {number} size - The size of the square in CSS pixels.
+   * @param {string} color - The color of the dark squares.
+   */
+  function drawChecker(ctx, x, y, size, color){
+    const squares = 4;
+    const step = size / squares;
+    ctx.fillStyle = color;
+    for (let i = 0; i < squares; i++){
+        for (let j = (i % 2); j < squares; j += 2){
+            ctx.fillRect(x + j * step, y + i * step, step, step);
+        }
+    }
+  }
+
+  /**
+   * Draws horizontal stripes in a square, marking start cells without relying on their color.
+   * @param {CanvasRenderingContext2D} ctx - The 2D context to draw on.
+   * @param {number} x - The x coordinate of the square's top-left corner.
+   * @param {number} y - The y coordinate of the square's top-left corner.
+   * @param {number} size - The size of the square in CSS pixels.
+   * @param {string} color - The color of the stripes.
+   */
+  function drawStripes(ctx, x, y, size, color){
+    const stripes = 4;
+    const step = size / stripes;
+    ctx.fillStyle = color;
+    for (let i = 0; i < stripes; i += 2){
+        ctx.fillRect(x, y + (i + 0.5) * step, size, step);
+    }
+  }
+
+  /**
+   * Draws the keyhole of a locked door or a key lying on the floor, with the pair's letter in the corner: there are
+   * fewer key colors than letters, so the letter is what tells pairs of the same color apart.
+   * @param {CanvasRenderingContext2D} ctx - The 2D context to draw on.
+   * @param {string} ch - The door (upper-case) or key (lower-case) grid character.
+   * @param {string} color - The color of the key/door pair.
+   * @param {number} x - The x coordinate of the cell's top-left corner.
+   * @param {number} y - The y coordinate of the cell's top-left corner.
+   * @param {number} cellSize - The size of a cell in CSS pixels.
+   */
+  function drawKeyOrDoor(ctx, ch, color, x, y, cellSize){
+    const cx = x + cellSize / 2;
+    const cy = y + cellSize / 2;
+    const door = ch !== ch.toLowerCase();
+    // The letter is only legible on cells big enough to hold it
+    if (cellSize >= 12){
+        ctx.fillStyle = door ? '#ffffff' : color;
+        ctx.font = `bold ${Math.floor(cellSize * 0.3)}px sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(ch.toUpperCase(), x + cellSize * 0.62, y + cellSize * 0.12);
+    }
+    if (door){
+        ctx.strokeStyle = 'rgba(0,0,0,0.35)';
+        ctx.lineWidth = Math.max(1, cellSize * 0.06);
+        ctx.strokeRect(x + cellSize * 0.1, y + cellSize * 0.1, cellSize * 0.8, cellSize * 0.8);
+        ctx.fillStyle = 'rgba(0,0,0,0.55)';
+        ctx.beginPath();
+        ctx.arc(cx, cy - cellSize * 0.08, Math.max(0.5, cellSize * 0.1), 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillRect(cx - cellSize * 0.04, cy - cellSize * 0.08, cellSize * 0.08, cellSize * 0.25);
+        return;
+    }
+    // Key: ring on the left, shaft with a bit to the right
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(1, cellSize * 0.09);
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.arc(x + cellSize * 0.32, cy, Math.max(0.5, cellSize * 0.13), 0, Math.PI * 2);
+    ctx.moveTo(x + cellSize * 0.45, cy);
+    ctx.lineTo(x + cellSize * 0.8, cy);
+    ctx.moveTo(x + cellSize * 0.7, cy);
+    ctx.lineTo(x + cellSize * 0.7, cy + cellSize * 0.14);
+    ctx.stroke();
+  }
+
+  /**
+   * Draws a teleporter: a ring in the pair's color with the pair digit in the middle.
+   * @param {CanvasRenderingContext2D} ctx - The 2D context to draw on.
+   * @param {string} ch - The teleporter digit.
+   * @param {number} cx - The x coordinate of the cell centre.
+   * @param {number} cy - The y coordinate of the cell centre.
+   * @param {number} cellSize - The size of a cell in CSS pixels.
+   * @param {Object} theme - The theme holding the pair colors.
+   */
+  function drawTeleporter(ctx, ch, cx, cy, cellSize, theme){
+    const color = theme.teleporters[Number(ch)];
+    ctx.beginPath();
+    ctx.fillStyle = color;
+    ctx.globalAlpha = 0.25;
+    ctx.arc(cx, cy, Math.max(1, cellSize * 0.42), 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(1, cellSize * 0.1);
+    ctx.beginPath();
+    ctx.arc(cx, cy, Math.max(1, cellSize * 0.34), 0, Math.PI * 2);
+    ctx.stroke();
+    // The digit is only legible on cells big enough to hold it
+    if (cellSize >= 12){
+        ctx.fillStyle = color;
+        ctx.font = `bold ${Math.floor(cellSize * 0.4)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(ch, cx, cy + 1);
+    }
+  }
+
+  /**
+   * Draws a round pinball bumper, optionally lit up after a hit.
+   * @param {CanvasRenderingContext2D} ctx - The 2D context to draw on.
+   * @param {number} x - The x coordinate of the bumper centre.
+   * @param {number} y - The y coordinate of the bumper centre.
+   * @param {number} radius - The bumper radius in CSS pixels.
+   * @param {number} [flash=0] - Strength of the hit flash in [0, 1].
+   */
+  function drawBumper(ctx, x, y, radius, flash = 0){
+    const r = Math.max(1, radius);
+    if (flash > 0){
+        ctx.beginPath();
+        ctx.fillStyle = `rgba(255,193,7,${0.6 * flash})`;
+        ctx.arc(x, y, r * (1 + 0.5 * flash), 0, Math.PI * 2);
+        ctx.fill();
+    }
+    const gradient = ctx.createRadialGradient(x - r * 0.3, y - r * 0.3, r * 0.1, x, y, r);
+    gradient.addColorStop(0, flash > 0 ? '#fff3cd' : '#f1aeb5');
+    gradient.addColorStop(1, flash > 0 ? '#ffc107' : '#d63384');
+    ctx.beginPath();
+    ctx.fillStyle = gradient;
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = Math.max(1, r * 0.15);
+    ctx.beginPath();
+    ctx.arc(x, y, r * 0.6, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  /**
+   * Draws a single grid cell.
+   * @param {CanvasRenderingContext2D} ctx - The 2D context to draw on (in CSS pixels).
+   * @param {string} ch - The grid character of the cell.
+   * @param {number} c - The column index of the cell.
+   * @param {number} r - The row index of the cell.
+   * @param {number} cellSize - The size of a cell in CSS pixels.
+   * @param {Object} opts - Rendering options (see renderGridToCanvas).
+   */
+  function drawCell(ctx, ch, c, r, cellSize, opts){
+    const theme = opts.themeData;
+    // Patterns are only legible on cells of a few pixels or more
+    const patterns = opts.patterns && cellSize >= 6;
+    const x = c * cellSize;
+    const y = r * cellSize;
+    const cx = x + cellSize / 2;
+    const cy = y + cellSize / 2;
+
+    const pairColor = keyColor(theme, ch);
+    const door = pairColor && ch !== ch.toLowerCase();
+
+    // Holes and keys sit on a floor tile, everything else fills the whole cell
+    if (door) ctx.fillStyle = pairColor;
+    else ctx.fillStyle = ch !== 'O' ? tileColor(theme, ch) : theme.tiles['.']; // Unknown characters get the floor color
+    ctx.fillRect(x, y, cellSize, cellSize);
+
+    if (opts.drawGridLines){
+        ctx.strokeStyle = theme.gridLine;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 0.5, y + 0.5, cellSize - 1, cellSize - 1);
+    }
+
+    if (ch === '#'){
+        if (patterns) drawBricks(ctx, x, y, cellSize);
+    } else if (pairColor){
+        drawKeyOrDoor(ctx, ch, pairColor, x, y, cellSize);
+    } else if (ch >= '0' && ch <= '9'){
+        drawTeleporter(ctx, ch, cx, cy, cellSize, theme);
+    } else if (ch in BOOSTER_ANGLES){
+        ctx.strokeStyle = '#6f42c1';
+        ctx.lineWidth = Math.max(1, cellSize * 0.1);
+        ctx.lineCap = 'round';
+        drawChevron(ctx, cx, cy, cellSize * 0.6, BOOSTER_ANGLES[ch]);
+    } else if (ch === '~' || ch === ':' || ch === '%'){
+        drawSurfaceTexture(ctx, ch, c, r, cellSize);
+    } else if (ch === 'S' || ch === 'G'){
+        const padding = Math.max(1, Math.floor(cellSize * 0.15));
+        ctx.fillStyle = 'rgba(255,255,255,0.9)';
+        ctx.fillRect(x + padding, y + padding, cellSize - padding * 2, cellSize - padding * 2);
+        if (patterns){
+            // Checkered flag on goals, stripes on starts
+            ctx.save();
+            ctx.globalAlpha = 0.6;
+            const draw = ch === 'G' ? drawChecker : drawStripes;
+            draw(ctx, x + padding, y + padding, cellSize - padding * 2, tileColor(theme, ch));
+            ctx.restore();
+        }
+        const label = opts.markerLabels ? opts.markerLabels[`${r},${c}`] : undefined;
+        ctx.beginPath();
+        ctx.fillStyle = tileColor(theme, ch);
+        ctx.arc(cx, cy, Math.max(1, cellSize * (label ? 0.3 : 0.18)), 0, Math.PI * 2);
+        ctx.fill();
+        // Levels with several marbles number each start and its goal
+        if (label && cellSize >= 12){
+            ctx.fillStyle = '#ffffff';
+            ctx.font = `bold ${Math.floor(cellSize * 0.4)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(String(label), cx, cy + 1);
+        }
+    } else if (ch === '=' || ch === '-'){
+        // Toggle-wall: hatched block while closed, dashed outline of where it closes while open
+        ctx.strokeStyle = ch === '=' ? 'rgba(255,255,255,0.45)' : theme.tiles['='];
+        ctx.lineWidth = Math.max(1, cellSize * 0.06);
+        if (ch === '='){
+            ctx.beginPath();
+            ctx.moveTo(x, y + cellSize);
+            ctx.lineTo(x + cellSize, y);
+            ctx.moveTo(x, y + cellSize * 0.5);
+            ctx.lineTo(x + cellSize * 0.5, y);
+            ctx.moveTo(x + cellSize * 0.5, y + cellSize);
+            ctx.lineTo(x + cellSize, y + cellSize * 0.5);
+            ctx.stroke();
+        } else {
+            ctx.setLineDash([Math.max(1, cellSize * 0.12), Math.max(1, cellSize * 0.1)]);
+            ctx.strokeRect(x + cellSize * 0.1, y + cellSize * 0.1, cellSize * 0.8, cellSize * 0.8);
+            ctx.setLineDash([]);
+        }
+    } else if (ch === '_'){
+        // Pressure plate: flat raised square in the toggle-wall color
+        const inset = cellSize * 0.2;
+        ctx.fillStyle = theme.tiles['='];
+        ctx.fillRect(x + inset, y + inset, cellSize - inset * 2, cellSize - inset * 2);
+        ctx.strokeStyle = 'rgba(0,0,0,0.3)';
+        ctx.lineWidth = Math.max(1, cellSize * 0.05);
+        ctx.strokeRect(x + inset, y + inset, cellSize - inset * 2, cellSize - inset * 2);
+    } else if (ch === '@'){
+        drawBumper(ctx, cx, cy, cellSize * 0.35);
+    } else if (ch === '*'){
+        // Collectible: five-pointed star
+        const outer = cellSize * 0.32;
+        const inner = outer * 0.45;
+        ctx.beginPath();
+        for (let i = 0; i < 10; i++){
+            const radius = i % 2 === 0 ? outer : inner;
+            const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+            ctx.lineTo(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+        }
+        ctx.closePath();
+        ctx.fillStyle = '#ffc107';
+        ctx.fill();
+        ctx.strokeStyle = '#b58100';
+        ctx.lineWidth = Math.max(0.5, cellSize * 0.04);
+        ctx.stroke();
+    } else if (ch === '+'){
+        // Checkpoint: small flag on a pole
+        const poleX = x + cellSize * 0.35;
+        ctx.strokeStyle = '#6c757d';
+        ctx.lineWidth = Math.max(1, cellSize * 0.06);
+        ctx.beginPath();
+        ctx.moveTo(poleX, y + cellSize * 0.2);
+        ctx.lineTo(poleX, y + cellSize * 0.82);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.fillStyle = '#fd7e14';
+        ctx.moveTo(poleX, y + cellSize * 0.2);
+        ctx.lineTo(x + cellSize * 0.75, y + cellSize * 0.34);
+        ctx.lineTo(poleX, y + cellSize * 0.48);
+        ctx.closePath();
+        ctx.fill();
+    } else if (ch === 'O'){
+        // Hole: dark pit with a lighter rim so it reads as a depression rather than a wall
+        const radius = Math.max(1, cellSize * 0.42);
+        const gradient = ctx.createRadialGradient(cx, cy, radius * 0.2, cx, cy, radius);
+        gradient.addColorStop(0, '#000000');
+        gradient.addColorStop(0.8, theme.tiles['O']);
+        gradient.addColorStop(1, '#6c757d');
+        ctx.beginPath();
+        ctx.fillStyle = gradient;
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fill();
+        if (patterns){
+            // Cross marking the hole as a hazard
+            const arm = radius * 0.4;
+            ctx.strokeStyle = 'rgba(255,255,255,0.8)';
+            ctx.lineWidth = Math.max(1, cellSize * 0.08);
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.moveTo(cx - arm, cy - arm);
+            ctx.lineTo(cx + arm, cy + arm);
+            ctx.moveTo(cx + arm, cy - arm);
+            ctx.lineTo(cx - arm, cy + arm);
+            ctx.stroke();
+        }
+    }
+  }
+
+  /**
+   * Draws the moving chevrons of booster tiles for one animation frame. Meant for an overlay
+   * canvas above the static grid, so the grid itself never has to be redrawn.
+   * Exposed as LevelRenderer.drawBoosterAnimation(ctx, boosters, cellSize, time).
+   *
+   * @param {CanvasRenderingContext2D} ctx - The 2D context of the overlay (in CSS pixels).
+   * @param {Array<{r: number, c: number, ch: string}>} boosters - The booster cells.
+   * @param {number} cellSize - The size of a cell in CSS pixels.
+   * @param {number} time - The animation time in seconds.
+   */
+  function drawBoosterAnimation(ctx, boosters, cellSize, time){
+    const phase = (time * 1.5) % 1;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(111,66,193,0.55)';
+    ctx.lineWidth = Math.max(1, cellSize * 0.08);
+    ctx.lineCap = 'round';
+    boosters.forEach(({ r, c, ch }) => {
+        const angle = BOOSTER_ANGLES[ch];
+        if (angle === undefined) return;
+        const x = c * cellSize;
+        const y = r * cellSize;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, cellSize, cellSize);
+        ctx.clip();
+        // Two chevrons sliding through the cell in the push direction
+        for (let i = 0; i < 2; i++){
+            const offset = ((phase + i * 0.5) % 1 - 0.5) * cellSize;
+            drawChevron(ctx, x + cellSize / 2 + Math.cos(angle) * offset, y + cellSize / 2 + Math.sin(angle) * offset, cellSize * 0.45, angle);
+        }
+        ctx.restore();
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Draws moving walls and timed gates for one frame. Meant for a dynamic layer between the static grid and the
+   * ball overlay, cleared by the caller every frame.
+   * Exposed as LevelRenderer.drawObstacles(ctx, rects, cellSize).
+   *
+   * @param {CanvasRenderingContext2D} ctx - The 2D context of the layer (in CSS pixels).
+   * @param {Array<{kind: string, x: number, y: number, w: number, h: number, solid: boolean}>} rects - The obstacle
+   *     rectangles in cells (see MarblePhysics.obstacleRects).
+   * @param {number} cellSize - The size of a cell in CSS pixels.
+   */
+  function drawObstacles(ctx, rects, cellSize){
+    ctx.save();
+    rects.forEach(rect => {
+        const x = rect.x * cellSize;
+        const y = rect.y * cellSize;
+        const w = rect.w * cellSize;
+        const h = rect.h * cellSize;
+        if (rect.kind === 'gate' && !rect.solid){
+            // Open gate: dashed outline so the player can see where it will close
+            ctx.setLineDash([Math.max(2, cellSize * 0.15), Math.max(2, cellSize * 0.1)]);
+            ctx.strokeStyle = 'rgba(220,53,69,0.6)';
+            ctx.lineWidth = Math.max(1, cellSize * 0.06);
+            ctx.strokeRect(x + 1, y + 1, w - 2, h - 2);
+            ctx.setLineDash([]);
+            return;
+        }
+        ctx.fillStyle = getTheme().tiles['#'];
+        ctx.fillRect(x, y, w, h);
+        if (accessibility.patterns && rect.kind !== 'gate' && cellSize >= 6){
+            // Moving walls get the brick pattern of the static walls, cell by cell
+            for (let by = 0; by < h - 0.5; by += cellSize){
+                for (let bx = 0; bx < w - 0.5; bx += cellSize){
+                    drawBricks(ctx, x + bx, y + by, Math.min(cellSize, w - bx, h - by));
+                }
+            }
+        }
+        ctx.strokeStyle = 'rgba(0,0,0,0.35)';
+        ctx.lineWidth = Math.max(1, cellSize * 0.06);
+        if (rect.kind === 'gate'){
+            // Closed gate: vertical bars
+            ctx.beginPath();
+            const bars = Math.max(2, Math.round(w / cellSize) * 3);
+            for (let i = 1; i < bars; i++){
+                ctx.moveTo(x + (w * i) / bars, y);
+                ctx.lineTo(x + (w * i) / bars, y + h);
+            }
+            ctx.stroke();
+        }
+        ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Draws bumpers given in cells, e.g. the ones a level places at sub-cell positions, or the flash of hit bumpers
+   * on an overlay. Exposed as LevelRenderer.drawBumpers(ctx, bumpers, cellSize, flashes).
+   *
+   * @param {CanvasRenderingContext2D} ctx - The 2D context to draw on (in CSS pixels).
+   * @param {Array<{x: number, y: number, radius: number}>} bumpers - The bumpers: centre and radius in cells.
+   * @param {number} cellSize - The size of a cell in CSS pixels.
+   * @param {Array<number>} [flashes] - Flash strength in [0, 1] per bumper; when given, only flashing bumpers are drawn.
+   */
+  function drawBumpers(ctx, bumpers, cellSize, flashes){
+    bumpers.forEach((bumper, i) => {
+        const flash = flashes ? (flashes[i] || 0) : 0;
+        if (flashes && flash <= 0) return;
+        drawBumper(ctx, bumper.x * cellSize, bumper.y * cellSize, bumper.radius * cellSize, flash);
+    });
+  }
+
+  /**
+   * Gets the fill color of a marble in the active theme.
+   * Exposed as LevelRenderer.marbleColor(index).
+   *
+   * @param {number} index - The marble index.
+   * @returns {string} The color.
+   */
+  function marbleColor(index){
+    const colors = getTheme().ball.colors;
+    return colors[index % colors.length];
+  }
+
+  /**
+   * Draws a marble in the style of the active theme.
+   * Exposed as LevelRenderer.drawMarble(ctx, x, y, radius, index, label).
+   *
+   * @param {CanvasRenderingContext2D} ctx - The 2D context to draw on (in CSS pixels).
+   * @param {number} x - The x coordinate of the marble centre.
+   * @param {number} y - The y coordinate of the marble centre.
+   * @param {number} radius - The marble radius in CSS pixels.
+   * @param {number} index - The marble index, picking its color.
+   * @param {string} [label] - Text drawn on the marble when it is large enough, e.g. its number.
+   */
+  function drawMarble(ctx, x, y, radius, index, label){
+    const style = getTheme().ball;
+    const color = marbleColor(index);
+    ctx.save();
+    if (style.glow){
+        ctx.shadowColor = color;
+        ctx.shadowBlur = radius;
+    }
+    ctx.beginPath();
+    ctx.fillStyle = color;
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.shadowBlur = 0;
+    if (style.shine){
+        // Soft highlight towards the top-left, as if lit from above
+        const shine = ctx.createRadialGradient(x - radius * 0.35, y - radius * 0.35, radius * 0.05, x, y, radius);
+        shine.addColorStop(0, 'rgba(255,255,255,0.7)');
+        shine.addColorStop(0.5, 'rgba(255,255,255,0)');
+        ctx.fillStyle = shine;
+        ctx.fill();
+    }
+    ctx.strokeStyle = style.stroke;
+    ctx.lineWidth = Math.max(1, radius * style.strokeWidth);
+    ctx.stroke();
+    if (label && radius >= 6){
+        ctx.fillStyle = style.label;
+        ctx.font = `bold ${Math.round(radius * 1.1)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, x, y + 1);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draws the darkness of a fog-of-war level on its mask layer: everything is dark except the cells marked in the
+   * memory canvas (dimly) and a circle of light around each marble. The darkness has the active theme's fog color.
+   * Exposed as LevelRenderer.drawFog(ctx, view, memory, cellSize, lights).
+   *
+   * @param {CanvasRenderingContext2D} ctx - The 2D context of the mask layer (in CSS pixels).
+   * @param {{x: number, y: number, width: number, height: number}} view - The area to cover, in CSS pixels.
+   * @param {HTMLCanvasElement|null} memory - Canvas with one pixel per cell; the alpha of a pixel is how much of the darkness over that cell is lifted.
+   * @param {number} cellSize - The size of a cell in CSS pixels.
+   * @param {Array<{x: number, y: number, radius: number}>} lights - Centres and radii of the lights, in CSS pixels.
+   */
+  function drawFog(ctx, view, memory, cellSize, lights){
+    ctx.save();
+    ctx.clearRect(view.x, view.y, view.width, view.height);
+    ctx.fillStyle = activeTheme.fog;
+    ctx.fillRect(view.x, view.y, view.width, view.height);
+    // Cut the revealed parts out of the darkness
+    ctx.globalCompositeOperation = 'destination-out';
+    if (memory){
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(memory, 0, 0, memory.width * cellSize, memory.height * cellSize);
+    }
+    lights.forEach(light => {
+        const glow = ctx.createRadialGradient(light.x, light.y, 0, light.x, light.y, light.radius);
+        glow.addColorStop(0, 'rgba(0,0,0,1)');
+        glow.addColorStop(0.6, 'rgba(0,0,0,1)');
+        glow.addColorStop(1, 'rgba(0,0,0,0)');
+        ctx.fillStyle = glow;
+        ctx.beginPath();
+        ctx.arc(light.x, light.y, light.radius, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Numbers the start and goal cells when a grid has several of them: by the given pairs (see
+   * MarblePhysics.pairStartsAndGoals), else in reading order (S1 belongs to G1 and so on).
+   * @param {Array<Array<string>>} grid - The grid.
+   * @param {Array<{start: {r: number, c: number}, goal: {r: number, c: number}}>} [pairs] - The start/goal pairs in marble order.
+   * @returns {Object<string, number>|null} The number of each start and goal cell keyed by "row,col", or null for a single marble.
+   */
+  function markerLabels(grid, pairs){
+    const labels = {};
+    if (Array.isArray(pairs)){
+        pairs.forEach(({ start, goal }, i) => {
+            labels[`${start.r},${start.c}`] = i + 1;
+            labels[`${goal.r},${goal.c}`] = i + 1;
+        });
+        return pairs.length > 1 ? labels : null;
+    }
+    const counts = { S: 0, G: 0 };
+    grid.forEach((row, r) => {
+        for (let c = 0; c < row.length; c++){
+            if (row[c] === 'S' || row[c] === 'G') labels[`${r},${c}`] = ++counts[row[c]];
+        }
+    });
+    return (counts.S > 1 || counts.G > 1) ? labels : null;
+  }
+
   /**
    * Renders a grid representation onto a given canvas element.
    * Exposed as LevelRenderer.renderGridToCanvas(canvas, grid, options).
@@ -13,11 +955,17 @@
    * @param {number} [options.maxHeight=600] - Maximum height of the grid in pixels.
    * @param {number} [options.minCell=4] - Minimum size of a grid cell in pixels.
    * @param {boolean} [options.drawGridLines=true] - Whether to draw grid lines.
+   * @param {string} [options.theme] - Name of the theme to render with; defaults to the active theme (see setTheme).
+   * @param {boolean} [options.patterns] - Whether to draw the color-independent tile patterns; defaults to the color vision settings (see setAccessibility).
+   * @param {Array<{start: {r: number, c: number}, goal: {r: number, c: number}}>} [options.pairs] - The start/goal pairs the markers are numbered by; defaults to reading order.
+   * @param {number} [options.pixelRatio] - Canvas pixels per CSS pixel; defaults to the device pixel ratio.
    * @returns {Object|null} An object containing grid dimensions and cell size, or null if rendering fails.
    */
   function renderGridToCanvas(canvas, grid, options = {}){
     if (!canvas || !grid || !grid.length) return null;
     const opts = Object.assign({ maxWidth: 800, maxHeight: 600, minCell: 4, drawGridLines: true }, options);
+    opts.themeData = isTheme(opts.theme) && THEMES[opts.theme] !== activeTheme ? withPalette(THEMES[opts.theme]) : activeThemeData;
+    if (opts.patterns === undefined) opts.patterns = accessibility.patterns;
 
     const rows = grid.length;
     const cols = grid[0].length;
@@ -30,7 +978,7 @@
     // Compute cell size (CSS pixels)
     const cellSize = Math.max(opts.minCell, Math.floor(Math.min(opts.maxWidth / cols, opts.maxHeight / rows)));
 
-    const dpr = window.devicePixelRatio || 1;
+    const dpr = opts.pixelRatio || window.devicePixelRatio || 1;
     canvas.style.width = `${cols * cellSize}px`;
     canvas.style.height = `${rows * cellSize}px`;
     canvas.width = Math.floor(cols * cellSize * dpr);
@@ -39,41 +987,74 @@
     const ctx = canvas.getContext('2d');
     ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
 
-    // Colors for grid elements
-    const COLORS = { '#': '#dc3545', 'S': '#0d6efd', 'G': '#198754', '.': '#f8f9fa' };
-
     // Clear the canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
+    opts.markerLabels = markerLabels(grid, opts.pairs);
+
     for (let r = 0; r < rows; r++){
         const row = grid[r];
         for (let c = 0; c < cols; c++){
-            const ch = row[c];
-            ctx.fillStyle = COLORS[ch] || COLORS['.']; // Default to floor color for unknown characters
-            ctx.fillRect(c * cellSize, r * cellSize, cellSize, cellSize);
-
-            if (opts.drawGridLines){
-                ctx.strokeStyle = 'rgba(0,0,0,0.06)';
-                ctx.lineWidth = 1;
-                ctx.strokeRect(c * cellSize + 0.5, r * cellSize + 0.5, cellSize - 1, cellSize - 1);
-            }
-
-            if (ch === 'S' || ch === 'G'){
-                const padding = Math.max(1, Math.floor(cellSize * 0.15));
-                ctx.fillStyle = 'rgba(255,255,255,0.9)';
-                ctx.fillRect(c * cellSize + padding, r * cellSize + padding, cellSize - padding * 2, cellSize - padding * 2);
-                ctx.beginPath();
-                ctx.fillStyle = (ch === 'S') ? COLORS['S'] : COLORS['G'];
-                ctx.arc(c * cellSize + cellSize / 2, r * cellSize + cellSize / 2, Math.max(1, cellSize * 0.18), 0, Math.PI * 2);
-                ctx.fill();
-            }
+            drawCell(ctx, row[c], c, r, cellSize, opts);
         }
     }
 
     return { cols, rows, cellSize };
   }
 
+  /**
+   * Redraws some cells of a canvas previously rendered by renderGridToCanvas, e.g. after a door opened.
+   * Exposed as LevelRenderer.redrawCells(canvas, grid, cells, options).
+   *
+   * @param {HTMLCanvasElement} canvas - The rendered canvas.
+   * @param {Array<Array<string>>} grid - The grid holding the cells' current characters.
+   * @param {Array<{r: number, c: number}>} cells - The cells to redraw.
+   * @param {Object} options - Rendering options.
+   * @param {number} options.cellSize - The cell size returned by renderGridToCanvas.
+   * @param {boolean} [options.drawGridLines=true] - Whether to draw grid lines.
+   * @param {string} [options.theme] - Name of the theme to render with; defaults to the active theme (see setTheme).
+   * @param {boolean} [options.patterns] - Whether to draw the color-independent tile patterns; defaults to the color vision settings (see setAccessibility).
+   * @param {Array<{start: {r: number, c: number}, goal: {r: number, c: number}}>} [options.pairs] - The start/goal pairs the markers are numbered by; defaults to reading order.
+   * @param {number} [options.pixelRatio] - Canvas pixels per CSS pixel; defaults to the device pixel ratio.
+   */
+  function redrawCells(canvas, grid, cells, options){
+    if (!canvas || !grid || !cells || !cells.length) return;
+    const opts = Object.assign({ drawGridLines: true }, options);
+    opts.themeData = isTheme(opts.theme) && THEMES[opts.theme] !== activeTheme ? withPalette(THEMES[opts.theme]) : activeThemeData;
+    if (opts.patterns === undefined) opts.patterns = accessibility.patterns;
+    opts.markerLabels = markerLabels(grid, opts.pairs);
+    const dpr = opts.pixelRatio || window.devicePixelRatio || 1;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    cells.forEach(({ r, c }) => {
+        if (!grid[r] || grid[r][c] === undefined) return;
+        ctx.clearRect(c * opts.cellSize, r * opts.cellSize, opts.cellSize, opts.cellSize);
+        drawCell(ctx, grid[r][c], c, r, opts.cellSize, opts);
+    });
+  }
+
   // Expose the renderGridToCanvas function on the global LevelRenderer object
   window.LevelRenderer = window.LevelRenderer || {};
   window.LevelRenderer.renderGridToCanvas = renderGridToCanvas;
+  window.LevelRenderer.drawBoosterAnimation = drawBoosterAnimation;
+  window.LevelRenderer.redrawCells = redrawCells;
+  window.LevelRenderer.drawObstacles = drawObstacles;
+  window.LevelRenderer.drawBumpers = drawBumpers;
+  window.LevelRenderer.drawFog = drawFog;
+  window.LevelRenderer.drawMarble = drawMarble;
+  window.LevelRenderer.marbleColor = marbleColor;
+  window.LevelRenderer.THEMES = THEMES;
+  window.LevelRenderer.DEFAULT_THEME = DEFAULT_THEME;
+  window.LevelRenderer.isTheme = isTheme;
+  window.LevelRenderer.resolveTheme = resolveTheme;
+  window.LevelRenderer.loadThemeSetting = loadThemeSetting;
+  window.LevelRenderer.saveThemeSetting = saveThemeSetting;
+  window.LevelRenderer.setTheme = setTheme;
+  window.LevelRenderer.getTheme = getTheme;
+  window.LevelRenderer.PALETTES = PALETTES;
+  window.LevelRenderer.ACCESSIBILITY_DEFAULTS = ACCESSIBILITY_DEFAULTS;
+  window.LevelRenderer.sanitizeAccessibility = sanitizeAccessibility;
+  window.LevelRenderer.loadAccessibility = loadAccessibility;
+  window.LevelRenderer.saveAccessibility = saveAccessibility;
+  window.LevelRenderer.setAccessibility = setAccessibility;
 })();
@@ -0,0 +1,1344 @@
+/**
+ * Deterministic, DOM-free physics engine for the marble maze.
+ * Works on plain data (grid, ball state, acceleration, dt) so it can run in the browser
+ * (exposed as window.MarblePhysics) as well as in Node (module.exports) for tests, replays and solvers.
+ */
+(function (root) {
+    /**
+     * Default physics parameters.
+     * @type {Object}
+     */
+    const DEFAULTS = {
+        friction: 1.8,          // velocity damping per second
+        accelScale: 900,        // acceleration at full tilt, in world units per second squared (used by callers to scale input)
+        maxSpeed: Infinity,     // speed cap in cells per second
+        ballRadiusRatio: 0.35,  // ball radius as a fraction of the cell size (used by callers to size the ball)
+        boosterAccel: 1.5,      // acceleration of booster tiles, as a multiple of accelScale
+        restitution: 0,         // share of the normal velocity kept when bouncing off a wall; 0 stops dead like before, levels opt in
+        bounceThreshold: 2,     // normal impact speed (in cells per second) below which the ball settles instead of bouncing
+        maxSubStepTravel: 0.45, // max travel per sub-step, as a fraction of the cell size
+        collisionIterations: 4  // max push-out passes per sub-step
+    };
+
+    /**
+     * Grid characters with a meaning for the simulation.
+     * @type {Object<string, string>}
+     */
+    const TILES = {
+        WALL: '#', FLOOR: '.', START: 'S', GOAL: 'G', HOLE: 'O', CHECKPOINT: '+',
+        ICE: '~', SAND: ':', MUD: '%',
+        BOOST_RIGHT: '>', BOOST_LEFT: '<', BOOST_UP: '^', BOOST_DOWN: 'v',
+        TOGGLE_WALL: '=', TOGGLE_OPEN: '-', SWITCH: '_', COLLECTIBLE: '*', BUMPER: '@'
+    };
+
+    /**
+     * Radius of a collectible, as a fraction of the cell size. The ball picks it up as soon as they touch.
+     * @type {number}
+     */
+    const COLLECTIBLE_RADIUS_RATIO = 0.3;
+
+    /**
+     * Overlap with walls or obstacles, as a fraction of the ball radius, that may remain after all push-out passes
+     * before the ball counts as crushed (e.g. squeezed between a moving wall and a static one).
+     * @type {number}
+     */
+    const CRUSH_OVERLAP_RATIO = 0.25;
+
+    /**
+     * Upper-case letters that already have a meaning (or whose lower-case form does) and so cannot be doors.
+     * Every other letter A-Z is a door, opened by the key with the same letter in lower case.
+     * @type {string}
+     */
+    const RESERVED_LETTERS = 'SGOV';
+
+    /**
+     * Push directions of the booster tiles, keyed by grid character.
+     * @type {Object<string, {x: number, y: number}>}
+     */
+    const BOOSTERS = {
+        [TILES.BOOST_RIGHT]: { x: 1, y: 0 },
+        [TILES.BOOST_LEFT]: { x: -1, y: 0 },
+        [TILES.BOOST_UP]: { x: 0, y: -1 },
+        [TILES.BOOST_DOWN]: { x: 0, y: 1 }
+    };
+
+    /**
+     * Surface modifiers applied while the ball centre is over a tile, keyed by grid character.
+     * friction replaces the level friction; maxSpeed (cells per second) caps the speed on top of the level cap;
+     * maxAccel caps the acceleration as a fraction of the level's accelScale.
+     * @type {Object<string, {friction: number, maxSpeed?: number, maxAccel?: number}>}
+     */
+    const SURFACES = {
+        [TILES.ICE]: { friction: 0.1 },
+        [TILES.SAND]: { friction: 5, maxSpeed: 6 },
+        [TILES.MUD]: { friction: 6, maxSpeed: 3, maxAccel: 0.35 }
+    };
+
+    /**
+     * Parameters a level may override, with their allowed ranges.
+     * @type {Object<string, {min: number, max: number}>}
+     */
+    const LEVEL_PARAM_LIMITS = {
+        friction: { min: 0, max: 20 },
+        accelScale: { min: 0, max: 5000 },
+        maxSpeed: { min: 1, max: 100 },
+        ballRadiusRatio: { min: 0.1, max: 0.45 },
+        boosterAccel: { min: 0, max: 10 },
+        restitution: { min: 0, max: 1 },
+        bounceThreshold: { min: 0, max: 50 }
+    };
+
+    /**
+     * Allowed ranges for the numeric settings of moving walls and timed gates.
+     * Sizes are in cells, speed in cells per second and times in seconds.
+     * @type {Object<string, {min: number, max: number}>}
+     */
+    const OBSTACLE_LIMITS = {
+        size: { min: 0.25, max: 10 },
+        speed: { min: 0.1, max: 10 },
+        open: { min: 0.1, max: 60 },
+        closed: { min: 0.1, max: 60 },
+        offset: { min: 0, max: 60 }
+    };
+
+    /**
+     * Allowed ranges for bumper settings: radius in cells, impulse (the speed a bumper fires the ball away with) in cells per second.
+     * @type {Object<string, {min: number, max: number}>}
+     */
+    const BUMPER_LIMITS = {
+        radius: { min: 0.1, max: 2 },
+        impulse: { min: 1, max: 50 }
+    };
+
+    /**
+     * Settings of bumpers placed with the grid character or without explicit values.
+     * @type {{radius: number, impulse: number}}
+     */
+    const BUMPER_DEFAULTS = { radius: 0.35, impulse: 12 };
+
+    /**
+     * Allowed ranges of the fog-of-war settings of a level; the light radius is in cells.
+     * @type {Object<string, {min: number, max: number}>}
+     */
+    const FOG_LIMITS = {
+        radius: { min: 1, max: 10 }
+    };
+
+    /**
+     * Settings of a dark level that gives no explicit values ("fog": true).
+     * radius: light radius around the marble in cells; hidePreview: hide the layout on the level card.
+     * @type {{radius: number, hidePreview: boolean}}
+     */
+    const FOG_DEFAULTS = { radius: 3, hidePreview: false };
+
+    /**
+     * Ways a moving wall can follow its path: back and forth, or around a closed loop.
+     * @type {Array<string>}
+     */
+    const MOVER_MODES = ['pingpong', 'loop'];
+
+    /**
+     * Ways a pressure plate can act on its wall group: flip it on every press, or flip it only while the ball is on the plate.
+     * @type {Array<string>}
+     */
+    const SWITCH_MODES = ['toggle', 'hold'];
+
+    /**
+     * Default fixed timestep of the accumulator (in seconds).
+     * @type {number}
+     */
+    const FIXED_DT = 1 / 120;
+
+    /**
+     * Default maximum number of fixed steps simulated per advance call, to avoid a spiral of death after long frames.
+     * @type {number}
+     */
+    const MAX_STEPS_PER_ADVANCE = 8;
+
+    /**
+     * Clamps a value between a minimum and maximum value.
+     * @param {number} val - The value to clamp.
+     * @param {number} min - The minimum value.
+     * @param {number} max - The maximum value.
+     * @returns {number} The clamped value.
+     */
+    function clamp(val, min, max) {
+        return Math.min(max, Math.max(min, val));
+    }
+
+    /**
+     * Checks if a grid character is a locked door.
+     * @param {string} ch - The grid character.
+     * @returns {boolean} True if the character is a door, false otherwise.
+     */
+    function isDoor(ch) {
+        return typeof ch === 'string' && ch.length === 1 && ch >= 'A' && ch <= 'Z' && !RESERVED_LETTERS.includes(ch);
+    }
+
+    /**
+     * Checks if a grid character is a key.
+     * @param {string} ch - The grid character.
+     * @returns {boolean} True if the character is a key, false otherwise.
+     */
+    function isKey(ch) {
+        return typeof ch === 'string' && ch >= 'a' && ch <= 'z' && isDoor(ch.toUpperCase());
+    }
+
+    /**
+     * Checks if a grid character is a teleporter. Teleporters are the digits 0-9; the two cells with the same digit form a pair.
+     * @param {string} ch - The grid character.
+     * @returns {boolean} True if the character is a teleporter, false otherwise.
+     */
+    function isTeleporter(ch) {
+        return typeof ch === 'string' && ch.length === 1 && ch >= '0' && ch <= '9';
+    }
+
+    /**
+     * Pairs up the teleporters of a grid. Digits that do not occur exactly twice are reported and left unpaired.
+     * @param {Array<string>|Array<Array<string>>} grid - The level grid.
+     * @returns {{partners: Object<string, {r: number, c: number}>, errors: Array<string>}} The partner of each
+     *     paired teleporter, keyed by "row,col", and a list of problems.
+     */
+    function pairTeleporters(grid) {
+        const cellsByDigit = {};
+        for (let r = 0; r < grid.length; r++) {
+            for (let c = 0; c < grid[r].length; c++) {
+                const ch = grid[r][c];
+                if (!isTeleporter(ch)) continue;
+                (cellsByDigit[ch] = cellsByDigit[ch] || []).push({ r, c });
+            }
+        }
+        const partners = {};
+        const errors = [];
+        Object.keys(cellsByDigit).sort().forEach(digit => {
+            const cells = cellsByDigit[digit];
+            if (cells.length !== 2) {
+                errors.push(`teleporter ${digit} appears ${cells.length} time${cells.length === 1 ? '' : 's'} instead of 2`);
+                return;
+            }
+            partners[`${cells[0].r},${cells[0].c}`] = cells[1];
+            partners[`${cells[1].r},${cells[1].c}`] = cells[0];
+        });
+        return { partners, errors };
+    }
+
+    /**
+     * Pairs the start and goal cells of a grid for levels with several marbles. A level can name the pairs in its
+     * "pairs" section, [{ start: [col, row], goal: [col, row] }, ...], in marble order; without it the n-th start cell
+     * in reading order (marble Sn) belongs to the n-th goal cell (Gn). Invalid pairs and start or goal cells left
+     * without a partner are reported and left out.
+     * @param {Array<string>|Array<Array<string>>} grid - The level grid.
+     * @param {Array<Object>|undefined} [section] - The pairs section from the level data.
+     * @returns {{pairs: Array<{start: {r: number, c: number}, goal: {r: number, c: number}}>, errors: Array<string>}}
+     *     One pair per marble and a list of problems.
+     */
+    function pairStartsAndGoals(grid, section) {
+        const starts = [];
+        const goals = [];
+        for (let r = 0; r < grid.length; r++) {
+            for (let c = 0; c < grid[r].length; c++) {
+                if (grid[r][c] === TILES.START) starts.push({ r, c });
+                if (grid[r][c] === TILES.GOAL) goals.push({ r, c });
+            }
+        }
+        const errors = [];
+        const pairs = [];
+        if (section == null) {
+            for (let i = 0; i < Math.min(starts.length, goals.length); i++) {
+                pairs.push({ start: starts[i], goal: goals[i] });
+            }
+        } else if (!Array.isArray(section)) {
+            errors.push('pairs must be an array');
+        } else {
+            const rows = grid.length;
+            const cols = rows ? grid[0].length : 0;
+            const used = new Set();
+            const readCell = (value, tile) => {
+                const point = readObstaclePoint(value, { w: 1, h: 1 }, rows, cols);
+                if (!point || !Number.isInteger(point.x) || !Number.isInteger(point.y)) return null;
+                if (grid[point.y][point.x] !== tile || used.has(`${point.y},${point.x}`)) return null;
+                return { r: point.y, c: point.x };
+            };
+            section.forEach((raw, i) => {
+                const start = raw ? readCell(raw.start, TILES.START) : null;
+                const goal = raw ? readCell(raw.goal, TILES.GOAL) : null;
+                if (!start) errors.push(`pairs[${i}].start must be a start cell not used by another pair`);
+                if (!goal) errors.push(`pairs[${i}].goal must be a goal cell not used by another pair`);
+                if (!start || !goal) return;
+                used.add(`${start.r},${start.c}`);
+                used.add(`${goal.r},${goal.c}`);
+                pairs.push({ start, goal });
+            });
+        }
+        const paired = new Set();
+        pairs.forEach(({ start, goal }) => {
+            paired.add(`${start.r},${start.c}`);
+            paired.add(`${goal.r},${goal.c}`);
+        });
+        // A grid without any start or goal cell is a different problem, left to the caller
+        if (starts.length && goals.length) {
+            starts.filter(({ r, c }) => !paired.has(`${r},${c}`)).forEach(({ r, c }) => errors.push(`start cell [${c}, ${r}] has no goal`));
+            goals.filter(({ r, c }) => !paired.has(`${r},${c}`)).forEach(({ r, c }) => errors.push(`goal cell [${c}, ${r}] has no start`));
+        }
+        return { pairs, errors };
+    }
+
+    /**
+     * Validates physics overrides declared by a level. Unknown keys and invalid values are
+     * reported and left out, so the defaults apply for them.
+     * @param {Object|undefined} overrides - The overrides from the level data.
+     * @returns {{params: Object, errors: Array<string>}} The valid overrides and a list of problems.
+     */
+    function validateLevelParams(overrides) {
+        const params = {};
+        const errors = [];
+        if (overrides == null) return { params, errors };
+        if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+            errors.push('physics must be an object');
+            return { params, errors };
+        }
+        Object.keys(overrides).forEach(key => {
+            const limits = LEVEL_PARAM_LIMITS[key];
+            if (!limits) {
+                errors.push(`unknown physics parameter "${key}"`);
+                return;
+            }
+            const value = overrides[key];
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < limits.min || value > limits.max) {
+                errors.push(`physics.${key} must be a number between ${limits.min} and ${limits.max}`);
+                return;
+            }
+            params[key] = value;
+        });
+        return { params, errors };
+    }
+
+    /**
+     * Reads an optional number within OBSTACLE_LIMITS, reporting invalid values.
+     * @param {*} value - The value from the level data.
+     * @param {string} key - The key of OBSTACLE_LIMITS.
+     * @param {number} fallback - The value used when the number is missing or invalid.
+     * @param {string} label - Name of the field for error messages.
+     * @param {Array<string>} errors - List the problem is added to.
+     * @returns {number} The number.
+     */
+    function readObstacleNumber(value, key, fallback, label, errors) {
+        if (value === undefined) return fallback;
+        const limits = OBSTACLE_LIMITS[key];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < limits.min || value > limits.max) {
+            errors.push(`${label} must be a number between ${limits.min} and ${limits.max}`);
+            return fallback;
+        }
+        return value;
+    }
+
+    /**
+     * Reads a [col, row] position that keeps a block of the given size inside the grid.
+     * @param {*} value - The value from the level data.
+     * @param {{w: number, h: number}} size - The block size in cells.
+     * @param {number} rows - The number of grid rows.
+     * @param {number} cols - The number of grid columns.
+     * @returns {{x: number, y: number}|null} The position in cells, or null if it is invalid.
+     */
+    function readObstaclePoint(value, size, rows, cols) {
+        if (!Array.isArray(value) || value.length !== 2) return null;
+        const [x, y] = value;
+        if (![x, y].every(n => typeof n === 'number' && Number.isFinite(n))) return null;
+        if (x < 0 || y < 0 || x + size.w > cols || y + size.h > rows) return null;
+        return { x, y };
+    }
+
+    /**
+     * Reads an optional [width, height] block size in cells.
+     * @param {*} value - The value from the level data.
+     * @param {string} label - Name of the field for error messages.
+     * @param {Array<string>} errors - List the problem is added to.
+     * @returns {{w: number, h: number}} The size, 1 x 1 when missing or invalid.
+     */
+    function readObstacleSize(value, label, errors) {
+        if (value === undefined) return { w: 1, h: 1 };
+        const limits = OBSTACLE_LIMITS.size;
+        const valid = Array.isArray(value) && value.length === 2 &&
+            value.every(n => typeof n === 'number' && Number.isFinite(n) && n >= limits.min && n <= limits.max);
+        if (!valid) {
+            errors.push(`${label} must be [width, height] with sizes between ${limits.min} and ${limits.max}`);
+            return { w: 1, h: 1 };
+        }
+        return { w: value[0], h: value[1] };
+    }
+
+    /**
+     * Validates the moving walls and timed gates declared by a level. Invalid entries are reported and left out.
+     *
+     * A moving wall is { path: [[col, row], ...], size?: [w, h], speed?: cells per second, mode?: "pingpong" | "loop" };
+     * the path lists the positions of the block's top-left corner. A gate is { at: [col, row], size?: [w, h],
+     * open?: seconds, closed?: seconds, offset?: seconds }; it starts open and then alternates.
+     * @param {Object} level - The level data (reads its optional "movers" and "gates" arrays).
+     * @param {number} rows - The number of grid rows.
+     * @param {number} cols - The number of grid columns.
+     * @returns {{obstacles: {movers: Array<Object>, gates: Array<Object>}, errors: Array<string>}} The valid obstacles and a list of problems.
+     */
+    function validateObstacles(level, rows, cols) {
+        const obstacles = { movers: [], gates: [] };
+        const errors = [];
+        const lists = { movers: level && level.movers, gates: level && level.gates };
+        Object.keys(lists).forEach(name => {
+            if (lists[name] != null && !Array.isArray(lists[name])) {
+                errors.push(`${name} must be an array`);
+                lists[name] = null;
+            }
+        });
+        (lists.movers || []).forEach((raw, i) => {
+            const label = `movers[${i}]`;
+            if (!raw || typeof raw !== 'object') {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            const size = readObstacleSize(raw.size, `${label}.size`, errors);
+            const path = Array.isArray(raw.path) ? raw.path.map(p => readObstaclePoint(p, size, rows, cols)) : [];
+            if (path.length < 2 || path.some(p => !p)) {
+                errors.push(`${label}.path must list at least two [col, row] positions inside the grid`);
+                return;
+            }
+            let mode = 'pingpong';
+            if (raw.mode !== undefined) {
+                if (MOVER_MODES.includes(raw.mode)) mode = raw.mode;
+                else errors.push(`${label}.mode must be one of ${MOVER_MODES.join(', ')}`);
+            }
+            obstacles.movers.push({
+                path,
+                w: size.w,
+                h: size.h,
+                speed: readObstacleNumber(raw.speed, 'speed', 2, `${label}.speed`, errors),
+                mode
+            });
+        });
+        (lists.gates || []).forEach((raw, i) => {
+            const label = `gates[${i}]`;
+            if (!raw || typeof raw !== 'object') {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            const size = readObstacleSize(raw.size, `${label}.size`, errors);
+            const at = readObstaclePoint(raw.at, size, rows, cols);
+            if (!at) {
+                errors.push(`${label}.at must be a [col, row] position inside the grid`);
+                return;
+            }
+            obstacles.gates.push({
+                x: at.x,
+                y: at.y,
+                w: size.w,
+                h: size.h,
+                open: readObstacleNumber(raw.open, 'open', 2, `${label}.open`, errors),
+                closed: readObstacleNumber(raw.closed, 'closed', 2, `${label}.closed`, errors),
+                offset: readObstacleNumber(raw.offset, 'offset', 0, `${label}.offset`, errors)
+            });
+        });
+        return { obstacles, errors };
+    }
+
+    /**
+     * Computes the position and velocity of a moving wall at a point in time.
+     * @param {Object} mover - The moving wall (see validateObstacles).
+     * @param {number} time - The time since the run started, in seconds.
+     * @returns {{x: number, y: number, vx: number, vy: number}} Top-left corner in cells and velocity in cells per second.
+     */
+    function moverState(mover, time) {
+        const points = mover.mode === 'loop'
+            ? mover.path.concat([mover.path[0]])
+            : mover.path.concat(mover.path.slice(0, -1).reverse());
+        const lengths = [];
+        let total = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            const len = Math.hypot(points[i + 1].x - points[i].x, points[i + 1].y - points[i].y);
+            lengths.push(len);
+            total += len;
+        }
+        if (total <= 0) return { x: points[0].x, y: points[0].y, vx: 0, vy: 0 };
+        let dist = (time * mover.speed) % total;
+        for (let i = 0; i < lengths.length; i++) {
+            if (dist > lengths[i] && i < lengths.length - 1) {
+                dist -= lengths[i];
+                continue;
+            }
+            if (lengths[i] <= 0) continue;
+            const t = Math.min(1, dist / lengths[i]);
+            const dx = (points[i + 1].x - points[i].x) / lengths[i];
+            const dy = (points[i + 1].y - points[i].y) / lengths[i];
+            return {
+                x: points[i].x + dx * lengths[i] * t,
+                y: points[i].y + dy * lengths[i] * t,
+                vx: dx * mover.speed,
+                vy: dy * mover.speed
+            };
+        }
+        return { x: points[0].x, y: points[0].y, vx: 0, vy: 0 };
+    }
+
+    /**
+     * Checks if a timed gate is closed at a point in time.
+     * @param {Object} gate - The gate (see validateObstacles).
+     * @param {number} time - The time since the run started, in seconds.
+     * @returns {boolean} True if the gate is closed, false otherwise.
+     */
+    function isGateClosed(gate, time) {
+        const phase = (time + gate.offset) % (gate.open + gate.closed);
+        return phase >= gate.open;
+    }
+
+    /**
+     * Computes the rectangles of all moving walls and gates at a point in time.
+     * Open gates are included (for drawing) but marked as not solid.
+     * @param {{movers: Array<Object>, gates: Array<Object>}} obstacles - The obstacles (see validateObstacles).
+     * @param {number} time - The time since the run started, in seconds.
+     * @returns {Array<{kind: string, x: number, y: number, w: number, h: number, vx: number, vy: number, solid: boolean}>}
+     *     The rectangles in cells, with velocities in cells per second.
+     */
+    function obstacleRects(obstacles, time) {
+        const rects = [];
+        obstacles.movers.forEach(mover => {
+            const state = moverState(mover, time);
+            rects.push({ kind: 'mover', x: state.x, y: state.y, w: mover.w, h: mover.h, vx: state.vx, vy: state.vy, solid: true });
+        });
+        obstacles.gates.forEach(gate => {
+            rects.push({ kind: 'gate', x: gate.x, y: gate.y, w: gate.w, h: gate.h, vx: 0, vy: 0, solid: isGateClosed(gate, time) });
+        });
+        return rects;
+    }
+
+    /**
+     * Collects the bumpers of a level: one in the centre of every bumper cell of the grid, plus the ones declared in
+     * its optional "bumpers" array as { at: [x, y], radius?: cells, impulse?: cells per second }, where x and y are the
+     * centre in cells and may be fractional. Invalid entries are reported and left out.
+     * @param {Object} level - The level data (reads its grid and "bumpers").
+     * @returns {{bumpers: Array<{x: number, y: number, radius: number, impulse: number, onGrid?: boolean}>, errors: Array<string>}}
+     *     The bumpers in cells (onGrid marks the ones from grid cells) and a list of problems.
+     */
+    function validateBumpers(level) {
+        const bumpers = [];
+        const errors = [];
+        const grid = (level && level.grid) || [];
+        const rows = grid.length;
+        const cols = rows ? grid[0].length : 0;
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < grid[r].length; c++) {
+                if (grid[r][c] === TILES.BUMPER) bumpers.push(Object.assign({ x: c + 0.5, y: r + 0.5, onGrid: true }, BUMPER_DEFAULTS));
+            }
+        }
+        const list = level ? level.bumpers : undefined;
+        if (list == null) return { bumpers, errors };
+        if (!Array.isArray(list)) {
+            errors.push('bumpers must be an array');
+            return { bumpers, errors };
+        }
+        list.forEach((raw, i) => {
+            const label = `bumpers[${i}]`;
+            const at = raw && Array.isArray(raw.at) && raw.at.length === 2 ? raw.at : null;
+            if (!at || !at.every(n => typeof n === 'number' && Number.isFinite(n)) || at[0] < 0 || at[1] < 0 || at[0] > cols || at[1] > rows) {
+                errors.push(`${label}.at must be an [x, y] position inside the grid`);
+                return;
+            }
+            const bumper = { x: at[0], y: at[1], radius: BUMPER_DEFAULTS.radius, impulse: BUMPER_DEFAULTS.impulse };
+            Object.keys(BUMPER_LIMITS).forEach(key => {
+                if (raw[key] === undefined) return;
+                const limits = BUMPER_LIMITS[key];
+                if (typeof raw[key] !== 'number' || !Number.isFinite(raw[key]) || raw[key] < limits.min || raw[key] > limits.max) {
+                    errors.push(`${label}.${key} must be a number between ${limits.min} and ${limits.max}`);
+                    return;
+                }
+                bumper[key] = raw[key];
+            });
+            bumpers.push(bumper);
+        });
+        return { bumpers, errors };
+    }
+
+    /**
+     * Validates the optional "fog" setting of a level, which makes it dark except for a light around each marble.
+     * It is either a boolean or { radius?: cells, hidePreview?: boolean }. Invalid values are reported and replaced by
+     * the defaults.
+     * @param {Object} level - The level data.
+     * @returns {{fog: {radius: number, hidePreview: boolean}|null, errors: Array<string>}} The fog settings (null for a lit level) and any problems found.
+     */
+    function validateFog(level) {
+        const errors = [];
+        const raw = level ? level.fog : undefined;
+        if (raw == null || raw === false) return { fog: null, errors };
+        const fog = Object.assign({}, FOG_DEFAULTS);
+        if (raw === true) return { fog, errors };
+        if (typeof raw !== 'object' || Array.isArray(raw)) {
+            errors.push('fog must be true, false or an object');
+            return { fog, errors };
+        }
+        Object.keys(FOG_LIMITS).forEach(key => {
+            if (raw[key] === undefined) return;
+            const limits = FOG_LIMITS[key];
+            if (typeof raw[key] !== 'number' || !Number.isFinite(raw[key]) || raw[key] < limits.min || raw[key] > limits.max) {
+                errors.push(`fog.${key} must be a number between ${limits.min} and ${limits.max}`);
+                return;
+            }
+            fog[key] = raw[key];
+        });
+        if (raw.hidePreview !== undefined) {
+            if (typeof raw.hidePreview === 'boolean') {
+                fog.hidePreview = raw.hidePreview;
+            } else {
+                errors.push('fog.hidePreview must be true or false');
+            }
+        }
+        return { fog, errors };
+    }
+
+    /**
+     * Validates the "switches" section of a level. Invalid entries are reported and left out.
+     *
+     * The section is { groups: { name: { cells: [[col, row], ...], closed?: boolean } }, plates: [{ at: [col, row],
+     * group: name, mode?: "toggle" | "hold" }] }. Group cells are toggle-walls (closed by default), plates are the
+     * pressure plates that flip them. Both may only be placed on floor cells.
+     * @param {Object|undefined} section - The switches section from the level data.
+     * @param {Array<string>|Array<Array<string>>} grid - The level grid.
+     * @returns {{switches: {groups: Object<string, Object>, plates: Array<Object>}, errors: Array<string>}} The valid
+     *     switches (cells as { r, c }) and a list of problems.
+     */
+    function validateSwitches(section, grid) {
+        const rows = grid.length;
+        const cols = rows ? grid[0].length : 0;
+        const switches = { groups: {}, plates: [] };
+        const errors = [];
+        if (section == null) return { switches, errors };
+        if (typeof section !== 'object' || Array.isArray(section)) {
+            errors.push('switches must be an object');
+            return { switches, errors };
+        }
+        const used = new Set();
+        const readCell = (value) => {
+            const point = readObstaclePoint(value, { w: 1, h: 1 }, rows, cols);
+            if (!point || !Number.isInteger(point.x) || !Number.isInteger(point.y)) return null;
+            return { r: point.y, c: point.x };
+        };
+        const groups = section.groups || {};
+        if (typeof groups !== 'object' || Array.isArray(groups)) {
+            errors.push('switches.groups must be an object');
+        } else {
+            Object.keys(groups).forEach(name => {
+                const raw = groups[name];
+                const label = `switches.groups.${name}`;
+                const cells = raw && Array.isArray(raw.cells) ? raw.cells.map(readCell) : [];
+                if (!cells.length || cells.some(cell => !cell)) {
+                    errors.push(`${label}.cells must list [col, row] cells inside the grid`);
+                    return;
+                }
+                if (cells.some(cell => used.has(`${cell.r},${cell.c}`))) {
+                    errors.push(`${label} shares cells with another group`);
+                    return;
+                }
+                if (cells.some(cell => grid[cell.r][cell.c] !== TILES.FLOOR)) {
+                    errors.push(`${label}.cells must be floor cells`);
+                    return;
+                }
+                cells.forEach(cell => used.add(`${cell.r},${cell.c}`));
+                if (raw.closed !== undefined && typeof raw.closed !== 'boolean') errors.push(`${label}.closed must be true or false`);
+                switches.groups[name] = { cells, closed: raw.closed !== false };
+            });
+        }
+        const plates = section.plates || [];
+        if (!Array.isArray(plates)) {
+            errors.push('switches.plates must be an array');
+            return { switches, errors };
+        }
+        plates.forEach((raw, i) => {
+            const label = `switches.plates[${i}]`;
+            const cell = raw ? readCell(raw.at) : null;
+            if (!cell) {
+                errors.push(`${label}.at must be a [col, row] cell inside the grid`);
+                return;
+            }
+            if (used.has(`${cell.r},${cell.c}`)) {
+                errors.push(`${label} sits on a toggle-wall or another plate`);
+                return;
+            }
+            if (grid[cell.r][cell.c] !== TILES.FLOOR) {
+                errors.push(`${label}.at must be a floor cell`);
+                return;
+            }
+            if (!switches.groups[raw.group]) {
+                errors.push(`${label}.group must name one of the switch groups`);
+                return;
+            }
+            let mode = 'toggle';
+            if (raw.mode !== undefined) {
+                if (SWITCH_MODES.includes(raw.mode)) mode = raw.mode;
+                else errors.push(`${label}.mode must be one of ${SWITCH_MODES.join(', ')}`);
+            }
+            used.add(`${cell.r},${cell.c}`);
+            switches.plates.push({ r: cell.r, c: cell.c, group: raw.group, mode });
+        });
+        return { switches, errors };
+    }
+
+    /**
+     * Places the plates and toggle-walls of validated switches into a copy of the level grid. Cells outside the grid
+     * or not on floor are left alone.
+     * @param {Array<string>|Array<Array<string>>} grid - The level grid.
+     * @param {{groups: Object<string, Object>, plates: Array<Object>}} switches - The switches (see validateSwitches).
+     * @returns {Array<Array<string>>} The grid with switch tiles.
+     */
+    function applySwitchLayout(grid, switches) {
+        const result = grid.map(row => Array.from(row));
+        const isFloor = (r, c) => !!result[r] && result[r][c] === TILES.FLOOR;
+        Object.keys(switches.groups).forEach(name => {
+            const group = switches.groups[name];
+            group.cells.forEach(({ r, c }) => {
+                if (isFloor(r, c)) result[r][c] = group.closed ? TILES.TOGGLE_WALL : TILES.TOGGLE_OPEN;
+            });
+        });
+        switches.plates.forEach(({ r, c }) => {
+            if (isFloor(r, c)) result[r][c] = TILES.SWITCH;
+        });
+        return result;
+    }
+
+    /**
+     * Creates the run state of the switches: which groups are closed and which plates are pressed.
+     * @param {{groups: Object<string, Object>, plates: Array<Object>}} switches - The switches (see validateSwitches).
+     * @returns {{toggled: Object<string, boolean>, closed: Object<string, boolean>, pressed: Array<boolean>}} The state.
+     */
+    function createSwitchState(switches) {
+        const state = { toggled: {}, closed: {}, pressed: switches.plates.map(() => false) };
+        Object.keys(switches.groups).forEach(name => {
+            state.toggled[name] = false;
+            state.closed[name] = switches.groups[name].closed;
+        });
+        return state;
+    }
+
+    /**
+     * Presses and releases plates under the ball centres and opens or closes the affected toggle-walls in the world grid.
+     * A toggle plate flips its group each time a ball rolls onto it; a hold plate flips it while a ball stays on it.
+     * @param {Object} world - The world; its grid is modified.
+     * @param {{groups: Object<string, Object>, plates: Array<Object>}} switches - The switches (see validateSwitches).
+     * @param {Object} state - The switch state (see createSwitchState); modified.
+     * @param {Object|Array<Object>} balls - The ball state, or the states of all balls in play.
+     * @returns {Array<{r: number, c: number}>} The toggle-wall cells that changed.
+     */
+    function updateSwitches(world, switches, state, balls) {
+        if (!switches.plates.length) return [];
+        const cells = [].concat(balls).map(ball => cellAt(world, ball.pos.x, ball.pos.y));
+        const held = {};
+        switches.plates.forEach((plate, i) => {
+            const onPlate = cells.some(cell => plate.r === cell.r && plate.c === cell.c);
+            if (onPlate && !state.pressed[i] && plate.mode === 'toggle') state.toggled[plate.group] = !state.toggled[plate.group];
+            if (onPlate && plate.mode === 'hold') held[plate.group] = true;
+            state.pressed[i] = onPlate;
+        });
+        const changed = [];
+        Object.keys(switches.groups).forEach(name => {
+            const group = switches.groups[name];
+            const closed = group.closed !== state.toggled[name] !== !!held[name];
+            if (closed === state.closed[name]) return;
+            state.closed[name] = closed;
+            group.cells.forEach(({ r, c }) => {
+                world.grid[r][c] = closed ? TILES.TOGGLE_WALL : TILES.TOGGLE_OPEN;
+                changed.push({ r, c });
+            });
+        });
+        return changed;
+    }
+
+    /**
+     * Creates a world describing the level geometry the ball moves in. The world keeps its own copy
+     * of the grid, so opening doors during a run never touches the level data.
+     * @param {Array<string>|Array<Array<string>>} grid - The level grid, one character per cell.
+     * @param {number} cellSize - The size of a grid cell in world units (the game uses CSS pixels).
+     * @param {Object} [params={}] - Overrides for the default physics parameters.
+     * @returns {Object} The world ({ grid, rows, cols, cellSize, params, teleporters, obstacles, bumpers }); obstacles holds
+     *     the current rectangles of moving walls and gates (see obstacleRects) and is updated by the caller, bumpers
+     *     (see validateBumpers) is set by the caller.
+     */
+    function createWorld(grid, cellSize, params = {}) {
+        if (!grid || !grid.length) throw new Error('Grid is empty');
+        const rows = grid.length;
+        const cols = grid[0].length;
+        if (!grid.every(r => r.length === cols)) throw new Error('Grid rows are not uniform width');
+        if (!(cellSize > 0)) throw new Error('Cell size must be positive');
+        return {
+            grid: grid.map(row => Array.from(row)),
+            rows,
+            cols,
+            cellSize,
+            params: Object.assign({}, DEFAULTS, params),
+            teleporters: pairTeleporters(grid).partners,
+            obstacles: [],
+            bumpers: []
+        };
+    }
+
+    /**
+     * Returns a world for a new cell size that shares the grid (and so the doors opened so far) with the given one.
+     * @param {Object} world - The world.
+     * @param {number} cellSize - The new cell size in world units.
+     * @returns {Object} The resized world.
+     */
+    function resizeWorld(world, cellSize) {
+        if (!(cellSize > 0)) throw new Error('Cell size must be positive');
+        return Object.assign({}, world, { cellSize });
+    }
+
+    /**
+     * Picks up the key in a cell: removes every key of that letter and opens every matching door.
+     * @param {Object} world - The world; its grid is modified.
+     * @param {number} row - The row index of the cell.
+     * @param {number} col - The column index of the cell.
+     * @returns {Array<{r: number, c: number}>} The cells that changed (empty if the cell holds no key).
+     */
+    function pickUpKey(world, row, col) {
+        if (row < 0 || col < 0 || row >= world.rows || col >= world.cols) return [];
+        const key = world.grid[row][col];
+        if (!isKey(key)) return [];
+        const door = key.toUpperCase();
+        const changed = [];
+        for (let r = 0; r < world.rows; r++) {
+            for (let c = 0; c < world.cols; c++) {
+                const ch = world.grid[r][c];
+                if (ch !== key && ch !== door) continue;
+                world.grid[r][c] = TILES.FLOOR;
+                changed.push({ r, c });
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Gets the partner of a teleporter cell.
+     * @param {Object} world - The world.
+     * @param {number} row - The row index of the cell.
+     * @param {number} col - The column index of the cell.
+     * @returns {{r: number, c: number}|null} The partner cell, or null if the cell is not a paired teleporter.
+     */
+    function teleporterPartner(world, row, col) {
+        return world.teleporters[`${row},${col}`] || null;
+    }
+
+    /**
+     * Counts the collectibles in a grid.
+     * @param {Array<string>|Array<Array<string>>} grid - The grid.
+     * @returns {number} The number of collectibles.
+     */
+    function countCollectibles(grid) {
+        let count = 0;
+        grid.forEach(row => {
+            for (let c = 0; c < row.length; c++) {
+                if (row[c] === TILES.COLLECTIBLE) count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Picks up the collectibles the ball touches, removing them from the world grid.
+     * @param {Object} world - The world; its grid is modified.
+     * @param {Object} ball - The ball state.
+     * @returns {Array<{r: number, c: number}>} The cells of the collected items.
+     */
+    function collectTouched(world, ball) {
+        const cellSize = world.cellSize;
+        const reach = ball.radius + cellSize * COLLECTIBLE_RADIUS_RATIO;
+        const minRow = Math.max(0, Math.floor((ball.pos.y - reach) / cellSize));
+        const maxRow = Math.min(world.rows - 1, Math.floor((ball.pos.y + reach) / cellSize));
+        const minCol = Math.max(0, Math.floor((ball.pos.x - reach) / cellSize));
+        const maxCol = Math.min(world.cols - 1, Math.floor((ball.pos.x + reach) / cellSize));
+        const collected = [];
+        for (let r = minRow; r <= maxRow; r++) {
+            for (let c = minCol; c <= maxCol; c++) {
+                if (world.grid[r][c] !== TILES.COLLECTIBLE) continue;
+                if (Math.hypot((c + 0.5) * cellSize - ball.pos.x, (r + 0.5) * cellSize - ball.pos.y) >= reach) continue;
+                world.grid[r][c] = TILES.FLOOR;
+                collected.push({ r, c });
+            }
+        }
+        return collected;
+    }
+
+    /**
+     * Creates a ball state at rest.
+     * @param {number} x - The x position of the ball centre.
+     * @param {number} y - The y position of the ball centre.
+     * @param {number} radius - The radius of the ball.
+     * @returns {Object} The ball state ({ pos, vel, radius }).
+     */
+    function createBall(x, y, radius) {
+        return { pos: { x, y }, vel: { x: 0, y: 0 }, radius };
+    }
+
+    /**
+     * Copies a ball state so it can be modified without touching the original.
+     * @param {Object} ball - The ball state.
+     * @returns {Object} The copied ball state.
+     */
+    function cloneBall(ball) {
+        return Object.assign({}, ball, {
+            pos: { x: ball.pos.x, y: ball.pos.y },
+            vel: { x: ball.vel.x, y: ball.vel.y }
+        });
+    }
+
+    /**
+     * Checks if a cell is a wall. Cells outside the grid, closed toggle-walls and locked doors count as walls.
+     * @param {Object} world - The world.
+     * @param {number} col - The column index of the cell.
+     * @param {number} row - The row index of the cell.
+     * @returns {boolean} True if the cell is a wall, false otherwise.
+     */
+    function isWall(world, col, row) {
+        if (row < 0 || col < 0) return true;
+        if (row >= world.rows || col >= world.cols) return true;
+        const ch = world.grid[row][col];
+        return ch === TILES.WALL || ch === TILES.TOGGLE_WALL || isDoor(ch);
+    }
+
+    /**
+     * Gets the grid character at a point. Points outside the grid read as walls.
+     * @param {Object} world - The world.
+     * @param {number} x - The x coordinate.
+     * @param {number} y - The y coordinate.
+     * @returns {string} The grid character.
+     */
+    function tileAt(world, x, y) {
+        const { r, c } = cellAt(world, x, y);
+        if (r < 0 || c < 0 || r >= world.rows || c >= world.cols) return TILES.WALL;
+        return world.grid[r][c];
+    }
+
+    /**
+     * Gets the grid cell containing a point.
+     * @param {Object} world - The world.
+     * @param {number} x - The x coordinate.
+     * @param {number} y - The y coordinate.
+     * @returns {Object} The cell coordinates ({ r, c }).
+     */
+    function cellAt(world, x, y) {
+        return { r: Math.floor(y / world.cellSize), c: Math.floor(x / world.cellSize) };
+    }
+
+    /**
+     * Computes the push of the booster tiles the ball overlaps. Each direction counts once,
+     * however many tiles of it the ball touches.
+     * @param {Object} world - The world.
+     * @param {Object} ball - The ball state.
+     * @returns {Object} The booster acceleration ({ ax, ay }) in world units per second squared.
+     */
+    function boosterAcceleration(world, ball) {
+        const cellSize = world.cellSize;
+        const radius = ball.radius;
+        const cx = ball.pos.x;
+        const cy = ball.pos.y;
+        const seen = new Set();
+        let ax = 0;
+        let ay = 0;
+        const minRow = Math.max(0, Math.floor((cy - radius) / cellSize));
+        const maxRow = Math.min(world.rows - 1, Math.floor((cy + radius) / cellSize));
+        const minCol = Math.max(0, Math.floor((cx - radius) / cellSize));
+        const maxCol = Math.min(world.cols - 1, Math.floor((cx + radius) / cellSize));
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const ch = world.grid[row][col];
+                const dir = BOOSTERS[ch];
+                if (!dir || seen.has(ch)) continue;
+                const dx = cx - clamp(cx, col * cellSize, (col + 1) * cellSize);
+                const dy = cy - clamp(cy, row * cellSize, (row + 1) * cellSize);
+                if (dx * dx + dy * dy >= radius * radius) continue;
+                seen.add(ch);
+                ax += dir.x;
+                ay += dir.y;
+            }
+        }
+        const strength = world.params.boosterAccel * world.params.accelScale;
+        return { ax: ax * strength, ay: ay * strength };
+    }
+
+    /**
+     * Pushes the ball out of an axis-aligned rectangle it overlaps. The ball bounces off the rectangle
+     * relative to the rectangle's velocity, so a moving rectangle carries the ball along.
+     * @param {Object} world - The world.
+     * @param {Object} ball - The ball state; its velocity is modified.
+     * @param {number} cx - The x position of the ball centre.
+     * @param {number} cy - The y position of the ball centre.
+     * @param {{x0: number, y0: number, x1: number, y1: number, vx: number, vy: number}} rect - The rectangle
+     *     and its velocity, in world units.
+     * @returns {{x: number, y: number}|null} The corrected position, or null if the ball does not overlap the rectangle.
+     */
+    function collideRect(world, ball, cx, cy, rect) {
+        const radius = ball.radius;
+        const { x0, y0, x1, y1 } = rect;
+        const closestX = clamp(cx, x0, x1);
+        const closestY = clamp(cy, y0, y1);
+        const dx = cx - closestX;
+        const dy = cy - closestY;
+        const distSq = dx * dx + dy * dy;
+        if (distSq >= radius * radius - 1e-6) return null;
+        const dist = Math.sqrt(Math.max(distSq, 0));
+        let nx = 0;
+        let ny = 0;
+        let penetration = radius - dist + 0.01;
+        if (dist > 0) {
+            nx = dx / dist;
+            ny = dy / dist;
+        } else {
+            const leftPen = Math.abs(cx - x0);
+            const rightPen = Math.abs(x1 - cx);
+            const topPen = Math.abs(cy - y0);
+            const bottomPen = Math.abs(y1 - cy);
+            const minPen = Math.min(leftPen, rightPen, topPen, bottomPen);
+            if (minPen === leftPen) {
+                nx = -1;
+            } else if (minPen === rightPen) {
+                nx = 1;
+            } else if (minPen === topPen) {
+                ny = -1;
+            } else {
+                ny = 1;
+            }
+            // The centre is inside (e.g. a gate closed on the ball): move it past the nearest edge as well
+            penetration += minPen;
+        }
+        const vDotN = (ball.vel.x - rect.vx) * nx + (ball.vel.y - rect.vy) * ny;
+        if (vDotN < 0) {
+            const bounces = -vDotN > world.params.bounceThreshold * world.cellSize;
+            const impulse = bounces ? (1 + world.params.restitution) : 1;
+            ball.vel.x -= impulse * vDotN * nx;
+            ball.vel.y -= impulse * vDotN * ny;
+        }
+        return { x: cx + nx * penetration, y: cy + ny * penetration };
+    }
+
+    /**
+     * Measures how deep a circle reaches into an axis-aligned rectangle.
+     * @param {number} cx - The x position of the circle centre.
+     * @param {number} cy - The y position of the circle centre.
+     * @param {number} radius - The circle radius.
+     * @param {{x0: number, y0: number, x1: number, y1: number}} rect - The rectangle.
+     * @returns {number} The distance the circle would have to move to stop overlapping, 0 if it does not.
+     */
+    function overlapDepth(cx, cy, radius, rect) {
+        const dist = Math.hypot(cx - clamp(cx, rect.x0, rect.x1), cy - clamp(cy, rect.y0, rect.y1));
+        if (dist > 0) return Math.max(0, radius - dist);
+        return radius + Math.min(cx - rect.x0, rect.x1 - cx, cy - rect.y0, rect.y1 - cy);
+    }
+
+    /**
+     * Pushes the ball out of a bumper it overlaps and fires it away from the bumper centre: the velocity along the
+     * line between the centres is replaced by the bumper's impulse, the sideways velocity is kept.
+     * @param {Object} world - The world.
+     * @param {Object} ball - The ball state; its velocity is modified.
+     * @param {number} cx - The x position of the ball centre.
+     * @param {number} cy - The y position of the ball centre.
+     * @param {{x: number, y: number, radius: number, impulse: number}} bumper - The bumper, in cells.
+     * @returns {{x: number, y: number}|null} The corrected position, or null if the ball does not touch the bumper.
+     */
+    function collideBumper(world, ball, cx, cy, bumper) {
+        const cellSize = world.cellSize;
+        const bx = bumper.x * cellSize;
+        const by = bumper.y * cellSize;
+        const minDist = ball.radius + bumper.radius * cellSize;
+        const dx = cx - bx;
+        const dy = cy - by;
+        const dist = Math.hypot(dx, dy);
+        if (dist >= minDist) return null;
+        // A ball exactly on the centre is fired upwards
+        const nx = dist > 0 ? dx / dist : 0;
+        const ny = dist > 0 ? dy / dist : -1;
+        const vDotN = ball.vel.x * nx + ball.vel.y * ny;
+        const impulse = bumper.impulse * cellSize;
+        ball.vel.x += (impulse - vDotN) * nx;
+        ball.vel.y += (impulse - vDotN) * ny;
+        return { x: bx + nx * (minDist + 0.01), y: by + ny * (minDist + 0.01) };
+    }
+
+    /**
+     * Resolves circle collisions of the ball against the walls, the solid obstacles and the bumpers, pushing it out of
+     * them and bouncing it off walls and obstacles when the impact is fast enough (see DEFAULTS.restitution and
+     * DEFAULTS.bounceThreshold). A ball that still overlaps a wall or obstacle after all passes has nowhere to go,
+     * e.g. a moving wall squeezes it against a static one, and is reported as crushed (see CRUSH_OVERLAP_RATIO).
+     * @param {Object} world - The world.
+     * @param {Object} ball - The ball state; its velocity is modified.
+     * @param {number} nextX - The desired x position of the ball centre.
+     * @param {number} nextY - The desired y position of the ball centre.
+     * @param {Array<number>} [bumped] - Receives the indices of the bumpers hit (into world.bumpers).
+     * @returns {{x: number, y: number, crushed: boolean}} The corrected position and whether the ball is crushed.
+     */
+    function resolveCircleCollisions(world, ball, nextX, nextY, bumped) {
+        const cellSize = world.cellSize;
+        const radius = ball.radius;
+        let cx = nextX;
+        let cy = nextY;
+        const maxX = world.cols * cellSize - radius;
+        const maxY = world.rows * cellSize - radius;
+        const obstacles = (world.obstacles || []).filter(o => o.solid).map(o => ({
+            x0: o.x * cellSize,
+            y0: o.y * cellSize,
+            x1: (o.x + o.w) * cellSize,
+            y1: (o.y + o.h) * cellSize,
+            vx: o.vx * cellSize,
+            vy: o.vy * cellSize
+        }));
+        let settled = false;
+        for (let iter = 0; iter < world.params.collisionIterations; iter++) {
+            let collided = false;
+            const minRow = Math.max(0, Math.floor((cy - radius) / cellSize));
+            const maxRow = Math.min(world.rows - 1, Math.floor((cy + radius) / cellSize));
+            const minCol = Math.max(0, Math.floor((cx - radius) / cellSize));
+            const maxCol = Math.min(world.cols - 1, Math.floor((cx + radius) / cellSize));
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    if (!isWall(world, col, row)) continue;
+                    const x0 = col * cellSize;
+                    const y0 = row * cellSize;
+                    const resolved = collideRect(world, ball, cx, cy, { x0, y0, x1: x0 + cellSize, y1: y0 + cellSize, vx: 0, vy: 0 });
+                    if (!resolved) continue;
+                    cx = resolved.x;
+                    cy = resolved.y;
+                    collided = true;
+                }
+            }
+            obstacles.forEach(rect => {
+                const resolved = collideRect(world, ball, cx, cy, rect);
+                if (!resolved) return;
+                cx = resolved.x;
+                cy = resolved.y;
+                collided = true;
+            });
+            (world.bumpers || []).forEach((bumper, index) => {
+                const resolved = collideBumper(world, ball, cx, cy, bumper);
+                if (!resolved) return;
+                cx = resolved.x;
+                cy = resolved.y;
+                collided = true;
+                if (bumped && !bumped.includes(index)) bumped.push(index);
+            });
+            if (!collided) {
+                settled = true;
+                break;
+            }
+        }
+        cx = clamp(cx, radius, maxX);
+        cy = clamp(cy, radius, maxY);
+        let crushed = false;
+        if (!settled) {
+            // The passes ran out while pushing the ball back and forth: check how deep it is still stuck
+            let depth = 0;
+            const minRow = Math.max(0, Math.floor((cy - radius) / cellSize));
+            const maxRow = Math.min(world.rows - 1, Math.floor((cy + radius) / cellSize));
+            const minCol = Math.max(0, Math.floor((cx - radius) / cellSize));
+            const maxCol = Math.min(world.cols - 1, Math.floor((cx + radius) / cellSize));
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    if (!isWall(world, col, row)) continue;
+                    const x0 = col * cellSize;
+                    const y0 = row * cellSize;
+                    depth = Math.max(depth, overlapDepth(cx, cy, radius, { x0, y0, x1: x0 + cellSize, y1: y0 + cellSize }));
+                }
+            }
+            obstacles.forEach(rect => { depth = Math.max(depth, overlapDepth(cx, cy, radius, rect)); });
+            crushed = depth > radius * CRUSH_OVERLAP_RATIO;
+        }
+        return { x: cx, y: cy, crushed };
+    }
+
+    /**
+     * Separates two overlapping balls of equal mass and exchanges their velocity along the line between the centres,
+     * bouncing like a ball off a wall (see DEFAULTS.restitution and DEFAULTS.bounceThreshold).
+     * @param {Object} world - The world.
+     * @param {Object} a - The first ball state; modified.
+     * @param {Object} b - The second ball state; modified.
+     * @returns {boolean} True if the balls touched, false otherwise.
+     */
+    function collideBalls(world, a, b) {
+        const dx = b.pos.x - a.pos.x;
+        const dy = b.pos.y - a.pos.y;
+        const dist = Math.hypot(dx, dy);
+        const minDist = a.radius + b.radius;
+        if (dist >= minDist) return false;
+        // Balls on the exact same spot are split sideways
+        const nx = dist > 0 ? dx / dist : 1;
+        const ny = dist > 0 ? dy / dist : 0;
+        const push = (minDist - dist) / 2 + 0.01;
+        a.pos.x -= nx * push;
+        a.pos.y -= ny * push;
+        b.pos.x += nx * push;
+        b.pos.y += ny * push;
+        const vRel = (b.vel.x - a.vel.x) * nx + (b.vel.y - a.vel.y) * ny;
+        if (vRel < 0) {
+            const bounces = -vRel > world.params.bounceThreshold * world.cellSize;
+            const j = (bounces ? 1 + world.params.restitution : 1) * vRel / 2;
+            a.vel.x += j * nx;
+            a.vel.y += j * ny;
+            b.vel.x -= j * nx;
+            b.vel.y -= j * ny;
+        }
+        return true;
+    }
+
+    /**
+     * Advances the ball by one physics step. The surface under the ball centre decides friction and caps.
+     * Fast movement is split into sub-steps so the ball never travels further than a fraction of a cell
+     * at once and cannot tunnel through walls. Boosters push the ball within each sub-step, and the
+     * sub-step count allows for the speed they can add.
+     * @param {Object} world - The world.
+     * @param {Object} ball - The current ball state (left untouched).
+     * @param {Object} accel - The acceleration input ({ ax, ay }) in world units per second squared.
+     * @param {number} dt - The time delta for the step in seconds.
+     * @returns {Object} The new ball state; its bumped array lists the indices of the bumpers hit during the step, and
+     *     crushed is true if it got stuck between walls or obstacles (see resolveCircleCollisions).
+     */
+    function step(world, ball, accel, dt) {
+        const next = cloneBall(ball);
+        next.bumped = [];
+        next.crushed = false;
+        const surface = SURFACES[tileAt(world, ball.pos.x, ball.pos.y)] || null;
+        let ax = (accel && accel.ax) || 0;
+        let ay = (accel && accel.ay) || 0;
+        if (surface && surface.maxAccel != null) {
+            const accelLen = Math.hypot(ax, ay);
+            const maxAccel = surface.maxAccel * world.params.accelScale;
+            if (accelLen > maxAccel) {
+                ax *= maxAccel / accelLen;
+                ay *= maxAccel / accelLen;
+            }
+        }
+        const friction = surface ? surface.friction : world.params.friction;
+        const damping = Math.exp(-friction * dt);
+        next.vel.x = (next.vel.x + ax * dt) * damping;
+        next.vel.y = (next.vel.y + ay * dt) * damping;
+
+        const surfaceMaxSpeed = (surface && surface.maxSpeed != null) ? surface.maxSpeed : Infinity;
+        const maxSpeed = Math.min(world.params.maxSpeed, surfaceMaxSpeed) * world.cellSize;
+        const capSpeed = () => {
+            const speed = Math.hypot(next.vel.x, next.vel.y);
+            if (speed > maxSpeed) {
+                next.vel.x *= maxSpeed / speed;
+                next.vel.y *= maxSpeed / speed;
+                return maxSpeed;
+            }
+            return speed;
+        };
+        const speed = capSpeed();
+        // Upper bound for the speed boosters can add during this step (two perpendicular directions at most)
+        const maxBoost = Math.SQRT2 * world.params.boosterAccel * world.params.accelScale * dt;
+        const maxTravelPerSubStep = world.cellSize * world.params.maxSubStepTravel;
+        const steps = Math.max(1, Math.ceil(Math.min(speed + maxBoost, maxSpeed) * dt / Math.max(1e-6, maxTravelPerSubStep)));
+        const stepDt = dt / steps;
+
+        for (let i = 0; i < steps; i++) {
+            const boost = boosterAcceleration(world, next);
+            if (boost.ax || boost.ay) {
+                next.vel.x += boost.ax * stepDt;
+                next.vel.y += boost.ay * stepDt;
+                capSpeed();
+            }
+            const nextX = next.pos.x + next.vel.x * stepDt;
+            const nextY = next.pos.y + next.vel.y * stepDt;
+            const resolved = resolveCircleCollisions(world, next, nextX, nextY, next.bumped);
+            next.pos.x = resolved.x;
+            next.pos.y = resolved.y;
+            if (resolved.crushed) {
+                next.crushed = true;
+                break;
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Creates a fixed-timestep accumulator. Variable frame times are collected and consumed in
+     * fixed steps, so the same inputs always produce the same trajectory regardless of frame rate.
+     * @param {number} [fixedDt=FIXED_DT] - The fixed step length in seconds.
+     * @param {number} [maxSteps=MAX_STEPS_PER_ADVANCE] - Maximum number of steps per advance call.
+     * @returns {Object} The accumulator ({ fixedDt, advance(frameDt, onStep), reset() }).
+     */
+    function createAccumulator(fixedDt = FIXED_DT, maxSteps = MAX_STEPS_PER_ADVANCE) {
+        let pending = 0;
+        return {
+            fixedDt,
+            /**
+             * Adds frame time and runs as many fixed steps as it covers.
+             * @param {number} frameDt - The elapsed frame time in seconds.
+             * @param {function(number): (boolean|void)} onStep - Called once per fixed step; returning false stops early and drops the remaining time.
+             * @returns {number} The number of steps run.
+             */
+            advance(frameDt, onStep) {
+                pending += Math.max(0, frameDt);
+                let count = 0;
+                while (pending >= fixedDt && count < maxSteps) {
+                    pending -= fixedDt;
+                    count++;
+                    if (onStep(fixedDt) === false) {
+                        pending = 0;
+                        break;
+                    }
+                }
+                // Drop time we could not catch up on instead of carrying it into the next frame
+                if (count === maxSteps) pending = Math.min(pending, fixedDt);
+                return count;
+            },
+            /**
+             * Discards any accumulated time.
+             */
+            reset() {
+                pending = 0;
+            }
+        };
+    }
+
+    const MarblePhysics = {
+        DEFAULTS,
+        TILES,
+        SURFACES,
+        BOOSTERS,
+        LEVEL_PARAM_LIMITS,
+        OBSTACLE_LIMITS,
+        BUMPER_LIMITS,
+        BUMPER_DEFAULTS,
+        FOG_LIMITS,
+        FOG_DEFAULTS,
+        FIXED_DT,
+        clamp,
+        validateLevelParams,
+        isDoor,
+        isKey,
+        isTeleporter,
+        pairTeleporters,
+        pairStartsAndGoals,
+        validateObstacles,
+        obstacleRects,
+        validateBumpers,
+        validateFog,
+        validateSwitches,
+        applySwitchLayout,
+        createSwitchState,
+        updateSwitches,
+        createWorld,
+        resizeWorld,
+        pickUpKey,
+        teleporterPartner,
+        countCollectibles,
+        collectTouched,
+        createBall,
+        cloneBall,
+        isWall,
+        cellAt,
+        tileAt,
+        boosterAcceleration,
+        resolveCircleCollisions,
+        collideBalls,
+        step,
+        createAccumulator
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = MarblePhysics;
+    }
+    if (root) {
+        root.MarblePhysics = MarblePhysics;
+    }
+})(typeof window !== 'undefined' ? window : null);
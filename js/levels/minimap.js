@@ -0,0 +1,290 @@
+/**
+ * Immediately Invoked Function Expression to encapsulate the Minimap module.
+ * A small corner map of the level: the grid is rendered once with LevelRenderer, unexplored parts are covered by a
+ * veil (in the theme's veil color) that is uncovered cell by cell, and only the marble and goal markers are redrawn every frame.
+ */
+(function () {
+    /**
+     * Key used to store the minimap settings in localStorage.
+     * @type {string}
+     */
+    const SETTINGS_STORAGE_KEY = 'minimap';
+
+    /**
+     * Default minimap settings.
+     * show: 'auto' (only when the maze is larger than the screen), 'always' or 'never';
+     * corner: screen corner the minimap is placed in.
+     * @type {Object}
+     */
+    const DEFAULT_SETTINGS = { show: 'auto', corner: 'bottom-end' };
+
+    /**
+     * Allowed values of the show setting.
+     * @type {Array<string>}
+     */
+    const SHOW_MODES = ['auto', 'always', 'never'];
+
+    /**
+     * Allowed values of the corner setting.
+     * @type {Array<string>}
+     */
+    const CORNERS = ['top-start', 'top-end', 'bottom-start', 'bottom-end'];
+
+    /**
+     * Largest width and height of the minimap in CSS pixels.
+     * @type {number}
+     */
+    const MAX_SIZE = 160;
+
+    /**
+     * Distance from the screen edge of a top corner minimap, keeping it clear of the back and pause buttons.
+     * @type {string}
+     */
+    const TOP_OFFSET = '4.5rem';
+
+    /**
+     * Radius (in cells) around a marble that counts as explored.
+     * @type {number}
+     */
+    const EXPLORE_RADIUS = 2;
+
+    /**
+     * Validates minimap settings, replacing missing or invalid values with defaults.
+     * @param {Object} settings - The settings to validate.
+     * @returns {Object} A complete, valid settings object.
+     */
+    function sanitizeSettings(settings) {
+        const result = Object.assign({}, DEFAULT_SETTINGS);
+        if (!settings || typeof settings !== 'object') return result;
+        if (SHOW_MODES.includes(settings.show)) result.show = settings.show;
+        if (CORNERS.includes(settings.corner)) result.corner = settings.corner;
+        return result;
+    }
+
+    /**
+     * Loads the minimap settings from localStorage.
+     * @returns {Object} The minimap settings, with defaults for anything not stored.
+     */
+    function loadSettings() {
+        try {
+            const raw = localStorage.getItem(SETTINGS_STORAGE_KEY);
+            return sanitizeSettings(raw ? JSON.parse(raw) : null);
+        } catch (_) {
+            return sanitizeSettings(null);
+        }
+    }
+
+    /**
+     * Persists the minimap settings to localStorage.
+     * @param {Object} settings - The minimap settings.
+     */
+    function saveSettings(settings) {
+        try { localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(sanitizeSettings(settings))); } catch (_) {}
+    }
+
+    /**
+     * Sizes a canvas for the device pixel ratio and sets its transform to CSS pixels.
+     * @param {HTMLCanvasElement} canvas - The canvas.
+     * @param {number} width - The width in CSS pixels.
+     * @param {number} height - The height in CSS pixels.
+     * @returns {CanvasRenderingContext2D} The canvas' context.
+     */
+    function sizeLayer(canvas, width, height) {
+        const dpr = window.devicePixelRatio || 1;
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        canvas.width = Math.floor(width * dpr);
+        canvas.height = Math.floor(height * dpr);
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        return ctx;
+    }
+
+    /**
+     * Creates a minimap inside a container element.
+     * @param {HTMLElement} container - A fixed-position element to build the minimap in; it is shown and hidden with d-none.
+     * @returns {Object|null} The minimap, or null without a container.
+     */
+    function create(container) {
+        if (!container) return null;
+        const base = document.createElement('canvas');
+        base.className = 'd-block';
+        const veil = document.createElement('canvas');
+        veil.className = 'd-block position-absolute top-0 start-0';
+        const dots = document.createElement('canvas');
+        dots.className = 'd-block position-absolute top-0 start-0';
+        container.appendChild(base);
+        container.appendChild(veil);
+        container.appendChild(dots);
+
+        let settings = Object.assign({}, DEFAULT_SETTINGS);
+        let large = false;
+        let info = null; // { cols, rows, cellSize } of the rendered grid
+        let goals = [];
+        let hideGoals = false;
+        let explored = null; // Uint8Array, one entry per cell
+        let lastCells = [];
+
+        const visible = () => !!info && (settings.show === 'always' || (settings.show === 'auto' && large));
+
+        const place = () => {
+            const [vertical, horizontal] = settings.corner.split('-');
+            container.style.top = vertical === 'top' ? TOP_OFFSET : 'auto';
+            container.style.bottom = vertical === 'bottom' ? '0' : 'auto';
+            container.style.left = horizontal === 'start' ? '0' : 'auto';
+            container.style.right = horizontal === 'end' ? '0' : 'auto';
+            container.classList.toggle('d-none', !visible());
+        };
+
+        // Covers everything except the explored cells
+        const paintVeil = () => {
+            const ctx = veil.getContext('2d');
+            ctx.clearRect(0, 0, info.cols * info.cellSize, info.rows * info.cellSize);
+            ctx.fillStyle = window.LevelRenderer.getTheme().veil;
+            ctx.fillRect(0, 0, info.cols * info.cellSize, info.rows * info.cellSize);
+            explored.forEach((seen, i) => {
+                if (seen) ctx.clearRect((i % info.cols) * info.cellSize, Math.floor(i / info.cols) * info.cellSize, info.cellSize, info.cellSize);
+            });
+        };
+
+        const coverAll = () => {
+            if (!info) return;
+            explored = new Uint8Array(info.cols * info.rows);
+            lastCells = [];
+            paintVeil();
+        };
+
+        return {
+            /**
+             * Renders the level grid as the minimap background and covers it up again.
+             * @param {Array<Array<string>>} grid - The level grid.
+             * @param {Array<{r: number, c: number}>} goalCells - The goal cells.
+             * @param {boolean} [hiddenGoals=false] - Whether the goals stay hidden until explored, e.g. on fog-of-war levels.
+             */
+            setGrid(grid, goalCells, hiddenGoals = false) {
+                info = window.LevelRenderer.renderGridToCanvas(base, grid, { maxWidth: MAX_SIZE, maxHeight: MAX_SIZE, minCell: 1, drawGridLines: false });
+                if (!info) return;
+                goals = goalCells || [];
+                hideGoals = !!hiddenGoals;
+                sizeLayer(veil, info.cols * info.cellSize, info.rows * info.cellSize);
+                sizeLayer(dots, info.cols * info.cellSize, info.rows * info.cellSize);
+                coverAll();
+                place();
+            },
+
+            /**
+             * Renders the background again, e.g. after the theme changed, keeping the explored areas.
+             * @param {Array<Array<string>>} grid - The grid holding the cells' current characters.
+             */
+            redrawBackground(grid) {
+                if (!info) return;
+                window.LevelRenderer.renderGridToCanvas(base, grid, { maxWidth: MAX_SIZE, maxHeight: MAX_SIZE, minCell: 1, drawGridLines: false });
+                if (explored) paintVeil();
+            },
+
+            /**
+             * Redraws cells of the background that changed during the run, e.g. opened doors.
+             * @param {Array<Array<string>>} grid - The grid holding the cells' current characters.
+             * @param {Array<{r: number, c: number}>} cells - The cells to redraw.
+             */
+            redrawCells(grid, cells) {
+                if (!info) return;
+                window.LevelRenderer.redrawCells(base, grid, cells, { cellSize: info.cellSize, drawGridLines: false });
+            },
+
+            /**
+             * Forgets which areas were explored, e.g. when the level restarts.
+             */
+            resetExplored() {
+                coverAll();
+            },
+
+            /**
+             * Marks the cells around the marbles as explored and uncovers them.
+             * @param {Array<{x: number, y: number}>} points - The marble positions in cell units.
+             */
+            explore(points) {
+                if (!info || !explored) return;
+                const cells = points.map(p => `${Math.floor(p.y)},${Math.floor(p.x)}`);
+                // Nothing new can be uncovered while every marble stays in its cell
+                if (cells.length === lastCells.length && cells.every((key, i) => key === lastCells[i])) return;
+                lastCells = cells;
+                const ctx = veil.getContext('2d');
+                points.forEach(p => {
+                    const row = Math.floor(p.y);
+                    const col = Math.floor(p.x);
+                    for (let r = Math.max(0, row - EXPLORE_RADIUS); r <= Math.min(info.rows - 1, row + EXPLORE_RADIUS); r++) {
+                        for (let c = Math.max(0, col - EXPLORE_RADIUS); c <= Math.min(info.cols - 1, col + EXPLORE_RADIUS); c++) {
+                            if (explored[r * info.cols + c]) continue;
+                            explored[r * info.cols + c] = 1;
+                            ctx.clearRect(c * info.cellSize, r * info.cellSize, info.cellSize, info.cellSize);
+                        }
+                    }
+                });
+            },
+
+            /**
+             * Redraws the markers: the goals (only explored ones if they are hidden), the marbles and the part of the level shown on screen.
+             * @param {Array<{x: number, y: number, color: string}>} points - The marble positions in cell units.
+             * @param {{x: number, y: number, width: number, height: number}|null} view - The visible area in cell units, or null if it is the whole level.
+             */
+            draw(points, view) {
+                if (!visible()) return;
+                const size = info.cellSize;
+                const ctx = dots.getContext('2d');
+                ctx.clearRect(0, 0, info.cols * size, info.rows * size);
+                const radius = Math.max(2, size * 0.4);
+                ctx.lineWidth = 1;
+                const goalColor = window.LevelRenderer.getTheme().tiles.G;
+                goals.forEach(goal => {
+                    if (hideGoals && !explored[goal.r * info.cols + goal.c]) return;
+                    ctx.fillStyle = goalColor;
+                    ctx.strokeStyle = '#ffffff';
+                    ctx.fillRect((goal.c + 0.5) * size - radius, (goal.r + 0.5) * size - radius, radius * 2, radius * 2);
+                    ctx.strokeRect((goal.c + 0.5) * size - radius, (goal.r + 0.5) * size - radius, radius * 2, radius * 2);
+                });
+                if (view) {
+                    ctx.strokeStyle = 'rgba(13,110,253,0.9)';
+                    ctx.strokeRect(view.x * size + 0.5, view.y * size + 0.5, view.width * size - 1, view.height * size - 1);
+                }
+                points.forEach(p => {
+                    ctx.beginPath();
+                    ctx.fillStyle = p.color;
+                    ctx.strokeStyle = '#ffffff';
+                    ctx.arc(p.x * size, p.y * size, radius, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.stroke();
+                });
+            },
+
+            /**
+             * Applies new minimap settings.
+             * @param {Object} value - The minimap settings (see DEFAULT_SETTINGS).
+             */
+            setSettings(value) {
+                settings = sanitizeSettings(value);
+                place();
+            },
+
+            /**
+             * Tells the minimap whether the maze is larger than the screen, which shows it in 'auto' mode.
+             * @param {boolean} value - True if the camera scrolls the maze.
+             */
+            setLarge(value) {
+                large = !!value;
+                place();
+            }
+        };
+    }
+
+    // Expose the functions on the global Minimap object
+    window.Minimap = Object.assign(window.Minimap || {}, {
+        DEFAULT_SETTINGS,
+        SHOW_MODES,
+        CORNERS,
+        sanitizeSettings,
+        loadSettings,
+        saveSettings,
+        create
+    });
+})();
@@ -9,12 +9,31 @@
      */
     const canvas = document.getElementById('levelCanvas');
 
+    /**
+     * Canvas element between the grid and the ball overlay for moving walls and gates, so the static
+     * grid never has to be redrawn while they move.
+     * @type {HTMLCanvasElement}
+     */
+    const dynamicLayer = document.getElementById('dynamicCanvas');
+
+    /**
+     * Mask canvas darkening fog-of-war levels, between the dynamic layer and the ball overlay.
+     * @type {HTMLCanvasElement}
+     */
+    const fogLayer = document.getElementById('fogCanvas');
+
     /**
      * Canvas element for rendering the ball overlay.
      * @type {HTMLCanvasElement}
      */
     const overlay = document.getElementById('ballCanvas');
 
+    /**
+     * Badge showing how many collectibles the player has picked up.
+     * @type {HTMLElement}
+     */
+    const collectHud = document.getElementById('collectHud');
+
     /**
      * Element for displaying messages to the user.
      * @type {HTMLElement}
@@ -59,16 +78,108 @@
     let renderInfo = null; // { cols, rows, cellSize }
 
     /**
-     * Starting cell of the maze.
-     * @type {Object|null}
+     * Camera showing the part of a maze too large for the screen, null while the whole maze fits (see drawGrid).
+     * viewWidth/viewHeight: size of the visible window in CSS pixels; x/y: world position of its top-left corner,
+     * following the marbles; drawnX/drawnY: that position rounded, as the layers are currently drawn.
+     * @type {{viewWidth: number, viewHeight: number, x: number, y: number, drawnX: number, drawnY: number}|null}
+     */
+    let camera = null;
+
+    /**
+     * Offscreen rendering of the whole maze while the camera scrolls it, null while the whole maze fits. The window on
+     * screen is copied from it, so moving the camera never redraws cells.
+     * @type {HTMLCanvasElement|null}
+     */
+    let levelImage = null;
+
+    /**
+     * Canvas pixels per CSS pixel of levelImage: the device pixel ratio, lowered for mazes that would exceed
+     * MAX_LEVEL_IMAGE_PIXELS.
+     * @type {number}
+     */
+    let levelImageRatio = 1;
+
+    /**
+     * Largest number of pixels of levelImage; mobile browsers refuse to draw larger canvases.
+     * @type {number}
+     */
+    const MAX_LEVEL_IMAGE_PIXELS = 16 * 1024 * 1024;
+
+    /**
+     * Zoom factor the player applied to the cell size drawGrid picks, changed by pinching.
+     * @type {number}
+     */
+    let zoom = 1;
+
+    /**
+     * Smallest cell size (in CSS pixels) drawGrid shrinks a maze to; larger mazes scroll with the camera instead.
+     * @type {number}
      */
-    let startCell = null;
+    const COMFORT_CELL_SIZE = 16;
 
     /**
-     * Goal cell of the maze.
+     * Range of cell sizes (in CSS pixels) zooming can reach. The maximum grows to the fitting cell size on large screens.
+     * @type {{min: number, max: number}}
+     */
+    const ZOOM_CELL_LIMITS = { min: 8, max: 64 };
+
+    /**
+     * Rate (per second) at which the camera catches up with the marbles.
+     * @type {number}
+     */
+    const CAMERA_FOLLOW_RATE = 6;
+
+    /**
+     * Physics world for the current level. Its grid is the per-run state (doors opened, keys taken):
+     * it survives resizes and is rebuilt from levelGrid on restart.
      * @type {Object|null}
      */
-    let goalCell = null;
+    let world = null;
+
+    /**
+     * Grid of the current level with the plates and toggle-walls of its switches filled in.
+     * @type {Array<Array<string>>|null}
+     */
+    let levelGrid = null;
+
+    /**
+     * Pressure plates and toggle-wall groups of the current level (see MarblePhysics.validateSwitches).
+     * @type {{groups: Object<string, Object>, plates: Array<Object>}}
+     */
+    let switches = { groups: {}, plates: [] };
+
+    /**
+     * Run state of the switches (see MarblePhysics.createSwitchState).
+     * @type {Object}
+     */
+    let switchState = window.MarblePhysics.createSwitchState(switches);
+
+    /**
+     * Cells changed during the current run (picked-up keys, opened doors, toggled walls), redrawn on restart.
+     * @type {Array<{r: number, c: number}>}
+     */
+    let changedCells = [];
+
+    /**
+     * Physics parameters of the current level: the defaults merged with its optional "physics" block.
+     * @type {Object}
+     */
+    let levelPhysics = Object.assign({}, window.MarblePhysics.DEFAULTS);
+
+    /**
+     * Fixed-timestep accumulator driving the physics simulation.
+     * @type {Object}
+     */
+    const physicsClock = window.MarblePhysics.createAccumulator();
+
+    /**
+     * Marbles of the current level, one per start/goal pair (see MarblePhysics.pairStartsAndGoals), all driven by the
+     * same tilt. Each holds its ball state (replaced after every physics step), its start and goal cell, the checkpoint
+     * it respawns at (null for the start), its fall into a hole and teleport cooldown (null while inactive) and whether
+     * it is in its goal.
+     * @type {Array<{ball: Object, start: {r: number, c: number}, goal: {r: number, c: number}, checkpoint: Object|null, falling: Object|null, teleportCooldown: Object|null, home: boolean}>}
+     */
+    let marbles = [];
 
     /**
      * Flag indicating whether the goal has been reached.
@@ -76,6 +187,120 @@
      */
     let goalReached = false;
 
+    /**
+     * Number of collectibles in the current level.
+     * @type {number}
+     */
+    let collectTotal = 0;
+
+    /**
+     * Number of collectibles the current level requires before the goal counts.
+     * @type {number}
+     */
+    let collectRequired = 0;
+
+    /**
+     * Number of collectibles picked up in the current run.
+     * @type {number}
+     */
+    let collectedCount = 0;
+
+    /**
+     * Flag indicating whether the marbles are in their goals without enough collectibles.
+     * @type {boolean}
+     */
+    let goalBlocked = false;
+
+    /**
+     * Duration of the fall animation when the ball drops into a hole (in seconds).
+     * @type {number}
+     */
+    const FALL_DURATION = 0.6;
+
+    /**
+     * Time added to the run when the ball drops into a hole (in milliseconds).
+     * @type {number}
+     */
+    const HOLE_PENALTY_MS = 3000;
+
+    /**
+     * Minimum time between two teleports (in seconds).
+     * @type {number}
+     */
+    const TELEPORT_COOLDOWN = 0.4;
+
+    /**
+     * Booster cells of the current level, animated on the overlay.
+     * @type {Array<{r: number, c: number, ch: string}>}
+     */
+    let boosterCells = [];
+
+    /**
+     * Moving walls and timed gates of the current level (see MarblePhysics.validateObstacles).
+     * @type {{movers: Array<Object>, gates: Array<Object>}}
+     */
+    let obstacles = { movers: [], gates: [] };
+
+    /**
+     * Bumpers of the current level (see MarblePhysics.validateBumpers).
+     * @type {Array<Object>}
+     */
+    let bumpers = [];
+
+    /**
+     * Remaining flash of each bumper after a hit, in [0, 1].
+     * @type {Array<number>}
+     */
+    let bumperFlashes = [];
+
+    /**
+     * Duration of the flash of a bumper that was hit (in seconds).
+     * @type {number}
+     */
+    const BUMPER_FLASH_DURATION = 0.25;
+
+    /**
+     * Flag indicating whether the dynamic layer currently shows bumper flashes (fog-of-war levels only).
+     * @type {boolean}
+     */
+    let flashesOnDynamicLayer = false;
+
+    /**
+     * Simulated time since the run started (in seconds), driving the moving walls and gates.
+     * @type {number}
+     */
+    let obstacleTime = 0;
+
+    /**
+     * Fog-of-war settings of the current level (see MarblePhysics.validateFog), null for a lit level.
+     * @type {{radius: number, hidePreview: boolean}|null}
+     */
+    let fog = null;
+
+    /**
+     * Cells lit during the current run of a fog-of-war level, one pixel per cell, which stay dimly revealed.
+     * @type {HTMLCanvasElement|null}
+     */
+    let fogMemory = null;
+
+    /**
+     * Flags of the cells already drawn into fogMemory, one entry per cell.
+     * @type {Uint8Array|null}
+     */
+    let fogVisited = null;
+
+    /**
+     * How much of the darkness is lifted from visited cells, in [0, 1].
+     * @type {number}
+     */
+    const FOG_MEMORY_REVEAL = 0.55;
+
+    /**
+     * Split times of the checkpoints reached during the current run, in the order they were reached.
+     * @type {Array<{cell: {r: number, c: number}, ms: number}>}
+     */
+    let splits = [];
+
     /**
      * ID of the current animation frame.
      * @type {number|null}
@@ -95,20 +320,131 @@
     let animationPaused = false;
 
     /**
-     * Ball object representing position and velocity.
+     * State of the device's orientation sensor, with the normalized tilt (components in [-1, 1]).
      * @type {Object}
      */
-    const ball = {
-        pos: { x: 0, y: 0 },
-        vel: { x: 0, y: 0 },
-        radius: 8
-    };
+    const sensorState = { tilt: { x: 0, y: 0 }, enabled: false, available: false };
+
+    /**
+     * State of a connected gamepad, with the normalized tilt from its sticks.
+     * @type {Object}
+     */
+    const gamepadState = { tilt: { x: 0, y: 0 } };
+
+    /**
+     * Input source that was active most recently and therefore drives the ball ('sensor' or 'gamepad').
+     * 'sensor' covers orientation, motion and the keyboard/mouse fallback.
+     * @type {string}
+     */
+    let inputOwner = 'sensor';
+
+    /**
+     * Change of the tilt (in degrees) that counts as deliberate sensor activity rather than jitter.
+     * @type {number}
+     */
+    const SENSOR_ACTIVITY_DEG = 4;
+
+    /**
+     * Tilt reading at which the sensor was last considered active.
+     * @type {Object|null}
+     */
+    let sensorActivityAnchor = null;
+
+    /**
+     * Whether keyboard and mouse controls replace the orientation sensor (chosen on the error page).
+     * @type {boolean}
+     */
+    const useFallbackInput = !!(window.SensorGuard && window.SensorGuard.useFallbackInput);
+
+    /**
+     * Calibrated neutral device angles in degrees ({ beta, gamma }, before screen rotation), or null if a flat device
+     * is neutral.
+     * @type {Object|null}
+     */
+    let calibration = window.TiltInput.loadCalibration();
+
+    /**
+     * Flag indicating whether the next orientation reading should be captured as the neutral tilt.
+     * @type {boolean}
+     */
+    let calibrationPending = false;
 
     /**
-     * State of the device's orientation sensor.
+     * Player tilt settings (sensitivity, dead zone, max tilt and response curve).
      * @type {Object}
      */
-    const sensorState = { accel: { x: 0, y: 0 }, enabled: false, available: false };
+    let tiltSettings = window.TiltInput.loadSettings();
+
+    /**
+     * Player settings for the smoothing filter applied to orientation readings.
+     * @type {Object}
+     */
+    let filterSettings = window.TiltFilters.loadSettings();
+
+    /**
+     * Player settings for the minimap (when it is shown and in which corner).
+     * @type {Object}
+     */
+    let minimapSettings = window.Minimap.loadSettings();
+
+    /**
+     * Player theme choice: 'auto' to use the theme the level suggests, or a theme name (see LevelRenderer.THEMES).
+     * @type {string}
+     */
+    let themeSetting = window.LevelRenderer.loadThemeSetting();
+
+    /**
+     * Player color vision settings: color-blind palette and tile patterns (see LevelRenderer.setAccessibility).
+     * @type {{palette: string, patterns: boolean}}
+     */
+    let accessibilitySettings = window.LevelRenderer.loadAccessibility();
+    window.LevelRenderer.setAccessibility(accessibilitySettings);
+
+    /**
+     * Corner map of the level (see Minimap.create), null if the page has no minimap element.
+     * @type {Object|null}
+     */
+    const minimap = window.Minimap.create(document.getElementById('minimap'));
+    if (minimap) minimap.setSettings(minimapSettings);
+
+    /**
+     * Smoothing filter between the orientation readings and the acceleration.
+     * @type {Object}
+     */
+    let tiltFilter = window.TiltFilters.create(filterSettings);
+
+    /**
+     * Latest raw and filtered screen tilt in degrees, shown in the debug readout.
+     * @type {Object}
+     */
+    const tiltReadings = { raw: { x: 0, y: 0 }, filtered: { x: 0, y: 0 } };
+
+    /**
+     * Monitors tracking how healthy the orientation and motion event streams are.
+     * @type {Object}
+     */
+    const sourceMonitors = {
+        orientation: window.TiltInput.createSourceMonitor(),
+        motion: window.TiltInput.createSourceMonitor()
+    };
+
+    /**
+     * Sensor source currently driving the ball ('orientation' or 'motion'), null before the first reading.
+     * @type {string|null}
+     */
+    let activeSource = null;
+
+    /**
+     * Element showing the raw vs. filtered tilt readout.
+     * @type {HTMLElement|null}
+     */
+    let debugReadout = null;
+
+    /**
+     * Flag indicating whether the pause menu is currently open.
+     * @type {boolean}
+     */
+    let pauseMenuActive = false;
 
     /**
      * Timer state for tracking elapsed play time.
@@ -151,6 +487,12 @@
      */
     const COMPLETION_STORAGE_KEY = 'levelCompletionTimes';
 
+    /**
+     * Key for storing the most collectibles picked up per level in localStorage.
+     * @type {string}
+     */
+    const COLLECTED_STORAGE_KEY = 'levelCollectedBest';
+
     /**
      * Key for storing the timestamp of the last user activity in sessionStorage.
      * @type {string}
@@ -198,6 +540,14 @@
         timerState.running = false;
     }
 
+    /**
+     * Adds a time penalty to the run.
+     * @param {number} ms - The penalty in milliseconds.
+     */
+    function addTimePenalty(ms) {
+        timerState.elapsedMs += ms;
+    }
+
     /**
      * Gets the total elapsed time in milliseconds.
      * @returns {number} The elapsed time in milliseconds.
@@ -260,6 +610,51 @@
         }
     }
 
+    /**
+     * Loads the most collectibles picked up per level from localStorage.
+     * @returns {Object} An object mapping level numbers to { collected, total }.
+     */
+    function loadCollectedBest() {
+        try {
+            const raw = localStorage.getItem(COLLECTED_STORAGE_KEY);
+            if (!raw) return {};
+            const parsed = JSON.parse(raw);
+            return (parsed && typeof parsed === 'object') ? parsed : {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    /**
+     * Saves the number of collectibles picked up in a finished run if it beats the stored best.
+     * @param {number} levelNumber - The level number.
+     * @param {number} collected - The number of collectibles picked up.
+     * @param {number} total - The number of collectibles in the level.
+     */
+    function saveCollectedBest(levelNumber, collected, total) {
+        if (!total) return;
+        const best = loadCollectedBest();
+        const existing = best[levelNumber];
+        // A changed total means the level was edited, so the old record no longer compares
+        if (existing && existing.total === total && existing.collected >= collected) return;
+        best[levelNumber] = { collected, total };
+        try { localStorage.setItem(COLLECTED_STORAGE_KEY, JSON.stringify(best)); } catch (_) {}
+    }
+
+    /**
+     * Updates the collectibles badge; it is hidden on levels without collectibles.
+     */
+    function updateCollectHud() {
+        if (!collectHud) return;
+        collectHud.classList.toggle('d-none', collectTotal === 0);
+        let text = `\u2605 ${collectedCount}/${collectTotal}`;
+        if (collectRequired > 0) text += ` \u00b7 need ${collectRequired}`;
+        collectHud.textContent = text;
+        // Highlight the badge while the goal refuses the marbles
+        collectHud.classList.toggle('bg-warning', goalBlocked);
+        collectHud.classList.toggle('bg-white', !goalBlocked);
+    }
+
     /**
      * Marks the current time as the last active time.
      */
@@ -342,7 +737,7 @@
      * Shows the lock prompt instructing the user to lock the screen rotation.
      */
     function showLockPrompt() {
-        if (!shouldShowLockReminder()) return;
+        if (useFallbackInput || !shouldShowLockReminder()) return;
         lockPromptActive = true;
         pauseGame();
         markActive();
@@ -406,7 +801,7 @@
     function handleLandscapeState() {
         if (isLandscape()) {
             hideLandscapeOverlay();
-            if (animationPaused && !lockPromptActive) resumeGame();
+            if (animationPaused && !lockPromptActive && !pauseMenuActive) resumeGame();
         } else {
             showLandscapeOverlay();
             pauseGame();
@@ -419,6 +814,7 @@
     function bindTimerStartOnce() {
         if (timerStartBound) return;
         const handler = () => {
+            if (pauseMenuActive) return;
             if (animationPaused) {
                 resumeGame();
             } else {
@@ -439,8 +835,10 @@
     function pauseGame() {
         animationPaused = true;
         stopTimer();
-        ball.vel.x = 0;
-        ball.vel.y = 0;
+        marbles.forEach(marble => {
+            marble.ball.vel.x = 0;
+            marble.ball.vel.y = 0;
+        });
         if (animationId) {
             cancelAnimationFrame(animationId);
             animationId = null;
@@ -451,7 +849,7 @@
      * Resumes the game, starting the animation loop and timer.
      */
     function resumeGame() {
-        if (goalReached) return;
+        if (goalReached || pauseMenuActive) return;
         animationPaused = false;
         startLoop();
         startTimer();
@@ -526,6 +924,14 @@
         timeEl.id = 'winModalTime';
         timeEl.className = 'mb-3 text-muted';
         body.appendChild(timeEl);
+        const collectedEl = document.createElement('p');
+        collectedEl.id = 'winModalCollected';
+        collectedEl.className = 'mb-3 text-muted';
+        body.appendChild(collectedEl);
+        const splitsEl = document.createElement('ol');
+        splitsEl.id = 'winModalSplits';
+        splitsEl.className = 'list-unstyled small text-muted mb-3';
+        body.appendChild(splitsEl);
         body.appendChild(btnGroup);
         card.appendChild(body);
         overlayEl.appendChild(card);
@@ -541,6 +947,20 @@
         if (!el) return;
         const ms = getElapsedMs();
         el.textContent = 'Time: ' + formatElapsed(ms);
+        const collectedEl = document.getElementById('winModalCollected');
+        if (collectedEl) {
+            collectedEl.textContent = `Collected: ${collectedCount}/${collectTotal}`;
+            collectedEl.hidden = collectTotal === 0;
+        }
+        const splitsEl = document.getElementById('winModalSplits');
+        if (!splitsEl) return;
+        splitsEl.innerHTML = '';
+        splits.forEach((split, i) => {
+            const item = document.createElement('li');
+            item.textContent = `Checkpoint ${i + 1}: ${formatElapsed(split.ms)}`;
+            splitsEl.appendChild(item);
+        });
+        splitsEl.hidden = splits.length === 0;
     }
 
     /**
@@ -551,6 +971,7 @@
         stopTimer();
         const ms = getElapsedMs();
         saveCompletionTime(requestedLevel, ms);
+        saveCollectedBest(requestedLevel, collectedCount, collectTotal);
         updateWinModalTime();
         const el = document.getElementById('winModalOverlay');
         if (!el) return;
@@ -561,257 +982,1061 @@
     }
 
     /**
-     * Shows a message to the user in the message area.
-     * @param {string} text - The message text.
-     * @param {string} [type='danger'] - The message type (e.g., 'success', 'warning', 'danger').
+     * Restarts the current level without reloading the page: resets the timer and puts the ball back at the start.
      */
-    function showMessage(text, type = 'danger') {
-        msg.innerHTML = `<div class="alert alert-${type}" role="alert">${text}</div>`;
+    function restartLevel() {
+        resetTimer();
+        resetCheckpoints();
+        resetRunGrid();
+        obstacleTime = 0;
+        collectedCount = 0;
+        goalBlocked = false;
+        updateCollectHud();
+        if (minimap) minimap.resetExplored();
+        resetFogMemory();
+        placeMarblesAtStart();
+        snapCamera();
     }
 
     /**
-     * Clears the message area.
+     * Closes all doors, puts the keys back and resets the switches by rebuilding the world from levelGrid,
+     * redrawing only the cells that changed during the run.
      */
-    function clearMessage() {
-        msg.innerHTML = '';
+    function resetRunGrid() {
+        switchState = window.MarblePhysics.createSwitchState(switches);
+        if (!world || !levelGrid) return;
+        world = buildWorld(world.cellSize);
+        redrawGridCells(changedCells);
+        if (minimap) minimap.redrawCells(world.grid, changedCells);
+        changedCells = [];
     }
 
     /**
-     * Clamps a value between a minimum and maximum value.
-     * @param {number} val - The value to clamp.
-     * @param {number} min - The minimum value.
-     * @param {number} max - The maximum value.
-     * @returns {number} The clamped value.
+     * Creates the physics world of the current level from levelGrid.
+     * @param {number} cellSize - The cell size in CSS pixels.
+     * @returns {Object} The world.
      */
-    function clamp(val, min, max) {
-        return Math.min(max, Math.max(min, val));
+    function buildWorld(cellSize) {
+        const created = window.MarblePhysics.createWorld(levelGrid, cellSize, levelPhysics);
+        created.bumpers = bumpers;
+        return created;
     }
 
     /**
-     * Finds the special cells (start and goal) in the level grid.
-     * @param {Array<Array<string>>} grid - The level grid.
-     * @returns {Object} An object containing the start and goal cell coordinates.
+     * Remembers cells of the world grid that changed during the run and redraws them.
+     * @param {Array<{r: number, c: number}>} cells - The changed cells.
      */
-    function findSpecialCells(grid) {
-        let start = null;
-        let goal = null;
-        for (let r = 0; r < grid.length; r++) {
-            const row = grid[r];
-            const s = row.indexOf('S');
-            if (s !== -1) start = { r, c: s };
-            const g = row.indexOf('G');
-            if (g !== -1) goal = { r, c: g };
-        }
-        return { start, goal };
+    function markCellsChanged(cells) {
+        if (!cells.length) return;
+        changedCells = changedCells.concat(cells);
+        redrawGridCells(cells);
+        if (minimap) minimap.redrawCells(world.grid, cells);
     }
 
     /**
-     * Synchronizes the ball's radius with the cell size.
-     * @param {number} cellSize - The size of the grid cell.
+     * Forgets the checkpoints and split times of the current run.
      */
-    function syncBallRadius(cellSize) {
-        ball.radius = Math.max(3, Math.min(cellSize * 0.35, cellSize * 0.45));
+    function resetCheckpoints() {
+        marbles.forEach(marble => { marble.checkpoint = null; });
+        splits = [];
     }
 
     /**
-     * Synchronizes the overlay size with the rendering information.
+     * Records a checkpoint a marble crossed as its respawn point. The first crossing of each checkpoint adds a split time.
+     * @param {Object} marble - The marble.
+     * @param {{r: number, c: number}} cell - The checkpoint cell.
      */
-    function syncOverlaySize() {
-        if (!renderInfo || !overlay) return;
-        const dpr = window.devicePixelRatio || 1;
-        const widthCss = renderInfo.cols * renderInfo.cellSize;
-        const heightCss = renderInfo.rows * renderInfo.cellSize;
-        overlay.style.width = `${widthCss}px`;
-        overlay.style.height = `${heightCss}px`;
-        overlay.width = Math.floor(widthCss * dpr);
-        overlay.height = Math.floor(heightCss * dpr);
-        const ctx = overlay.getContext('2d');
-        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-        ctx.clearRect(0, 0, widthCss, heightCss);
+    function reachCheckpoint(marble, cell) {
+        if (marble.checkpoint && marble.checkpoint.r === cell.r && marble.checkpoint.c === cell.c) return;
+        marble.checkpoint = cell;
+        if (!splits.some(split => split.cell.r === cell.r && split.cell.c === cell.c)) {
+            splits.push({ cell, ms: getElapsedMs() });
+        }
     }
 
     /**
-     * Places the ball at the starting position.
+     * Creates the pause menu overlay.
      */
-    function placeBallAtStart() {
-        if (!renderInfo || !startCell) return;
+    function createPauseMenu() {
+        if (document.getElementById('pauseMenuOverlay')) return;
+        const overlayEl = document.createElement('div');
+        overlayEl.id = 'pauseMenuOverlay';
+        overlayEl.setAttribute('role', 'dialog');
+        overlayEl.setAttribute('aria-modal', 'true');
+        overlayEl.setAttribute('aria-label', 'Pause menu');
+        overlayEl.style.position = 'fixed';
+        overlayEl.style.inset = '0';
+        overlayEl.style.display = 'none';
+        overlayEl.style.alignItems = 'center';
+        overlayEl.style.justifyContent = 'center';
+        overlayEl.style.background = 'rgba(0,0,0,0.45)';
+        overlayEl.style.zIndex = '1060';
+
+        const card = document.createElement('div');
+        card.className = 'card text-center p-3';
+        card.style.minWidth = '260px';
+        card.style.maxWidth = '90%';
+
+        const body = document.createElement('div');
+        body.className = 'card-body';
+
+        const title = document.createElement('h5');
+        title.className = 'card-title mb-3';
+        title.textContent = 'Paused';
+
+        const btnGroup = document.createElement('div');
+        btnGroup.className = 'd-grid gap-2';
+
+        const resumeBtn = document.createElement('button');
+        resumeBtn.type = 'button';
+        resumeBtn.className = 'btn btn-primary';
+        resumeBtn.textContent = 'resume';
+        resumeBtn.addEventListener('click', () => hidePauseMenu());
+
+        const restartBtn = document.createElement('button');
+        restartBtn.type = 'button';
+        restartBtn.className = 'btn btn-outline-secondary';
+        restartBtn.textContent = 'restart level';
+        restartBtn.addEventListener('click', () => {
+            restartLevel();
+            hidePauseMenu();
+        });
+
+        const checkpointBtn = document.createElement('button');
+        checkpointBtn.type = 'button';
+        checkpointBtn.id = 'pauseMenuCheckpoint';
+        checkpointBtn.className = 'btn btn-outline-secondary';
+        checkpointBtn.textContent = 'restart from checkpoint';
+        checkpointBtn.addEventListener('click', () => {
+            marbles.forEach(respawnMarble);
+            hidePauseMenu();
+        });
+
+        btnGroup.appendChild(resumeBtn);
+        btnGroup.appendChild(checkpointBtn);
+        btnGroup.appendChild(restartBtn);
+
+        if (settingsSections().length) {
+            const settingsBtn = document.createElement('button');
+            settingsBtn.type = 'button';
+            settingsBtn.className = 'btn btn-outline-secondary';
+            settingsBtn.textContent = 'settings';
+            settingsBtn.addEventListener('click', () => openSettings());
+            btnGroup.appendChild(settingsBtn);
+        }
+
+        if (!useFallbackInput) {
+            const calibrateBtn = document.createElement('button');
+            calibrateBtn.type = 'button';
+            calibrateBtn.className = 'btn btn-outline-secondary';
+            calibrateBtn.textContent = 'recalibrate tilt';
+            calibrateBtn.title = 'Hold your device the way you want to play, then tap';
+            calibrateBtn.addEventListener('click', () => {
+                calibrationPending = true;
+                hidePauseMenu();
+            });
+
+            const resetCalibrationBtn = document.createElement('button');
+            resetCalibrationBtn.type = 'button';
+            resetCalibrationBtn.className = 'btn btn-outline-secondary';
+            resetCalibrationBtn.textContent = 'reset calibration (flat)';
+            resetCalibrationBtn.addEventListener('click', () => {
+                calibration = null;
+                calibrationPending = false;
+                window.TiltInput.clearCalibration();
+                updateCalibrationHints();
+                hidePauseMenu();
+            });
+
+            btnGroup.appendChild(calibrateBtn);
+            btnGroup.appendChild(resetCalibrationBtn);
+        }
+
+        const overviewBtn = document.createElement('button');
+        overviewBtn.type = 'button';
+        overviewBtn.className = 'btn btn-outline-secondary';
+        overviewBtn.textContent = 'level overview';
+        overviewBtn.addEventListener('click', () => {
+            location.href = location.pathname.replace(/\/play\/[^/]*$/, '/index.html');
+        });
+        btnGroup.appendChild(overviewBtn);
+
+        body.appendChild(title);
+        body.appendChild(btnGroup);
+        card.appendChild(body);
+        overlayEl.appendChild(card);
+
+        document.body.appendChild(overlayEl);
+    }
+
+    /**
+     * Shows the pause menu, pausing the game.
+     */
+    function showPauseMenu() {
+        if (goalReached || !currentLevel) return;
+        createPauseMenu();
+        pauseMenuActive = true;
+        pauseGame();
+        const el = document.getElementById('pauseMenuOverlay');
+        if (!el) return;
+        const checkpointBtn = document.getElementById('pauseMenuCheckpoint');
+        if (checkpointBtn) checkpointBtn.hidden = !marbles.some(marble => marble.checkpoint);
+        el.style.display = 'flex';
+        const prim = el.querySelector('.btn-primary');
+        if (prim && typeof prim.focus === 'function') prim.focus();
+    }
+
+    /**
+     * Hides the pause menu and resumes the game.
+     */
+    function hidePauseMenu() {
+        pauseMenuActive = false;
+        const el = document.getElementById('pauseMenuOverlay');
+        if (el) el.style.display = 'none';
+        if (!landscapeOverlayActive && !lockPromptActive) resumeGame();
+    }
+
+    /**
+     * Builds the sections shown in the settings panel.
+     * @returns {Array<Object>} The settings sections (see SettingsPanel.open).
+     */
+    function settingsSections() {
+        const sections = [];
+        if (!useFallbackInput) {
+            const limits = window.TiltInput.SETTINGS_LIMITS;
+            sections.push({
+                title: 'Tilt',
+                values: tiltSettings,
+                defaults: window.TiltInput.DEFAULT_SETTINGS,
+                fields: [
+                    { key: 'sensitivity', label: 'Sensitivity', type: 'range', min: limits.sensitivity.min, max: limits.sensitivity.max, step: 0.05, format: v => '×' + v.toFixed(2) },
+                    { key: 'deadZone', label: 'Dead zone', type: 'range', min: limits.deadZone.min, max: limits.deadZone.max, step: 1, format: v => v + '°' },
+                    { key: 'maxTilt', label: 'Max tilt angle', type: 'range', min: limits.maxTilt.min, max: limits.maxTilt.max, step: 1, format: v => v + '°' },
+                    {
+                        key: 'curve', label: 'Response curve', type: 'select',
+                        options: [
+                            { value: 'linear', label: 'Linear' },
+                            { value: 'quadratic', label: 'Quadratic' },
+                            { value: 'exponential', label: 'Exponential' }
+                        ]
+                    },
+                    {
+                        key: 'source', label: 'Sensor', type: 'select',
+                        options: [
+                            { value: 'auto', label: 'Automatic' },
+                            { value: 'orientation', label: 'Orientation' },
+                            { value: 'motion', label: 'Motion (gravity)' }
+                        ]
+                    }
+                ],
+                onChange: (values) => {
+                    tiltSettings = window.TiltInput.sanitizeSettings(values);
+                    window.TiltInput.saveSettings(tiltSettings);
+                }
+            });
+
+            const filterLimits = window.TiltFilters.SETTINGS_LIMITS;
+            sections.push({
+                title: 'Smoothing',
+                values: filterSettings,
+                defaults: window.TiltFilters.DEFAULT_SETTINGS,
+                fields: [
+                    {
+                        key: 'type', label: 'Filter', type: 'select',
+                        options: [
+                            { value: 'none', label: 'None' },
+                            { value: 'lowpass', label: 'Low-pass' },
+                            { value: 'movingAverage', label: 'Moving average' },
+                            { value: 'oneEuro', label: '1€ filter' }
+                        ]
+                    },
+                    { key: 'cutoff', label: 'Low-pass cutoff', type: 'range', min: filterLimits.cutoff.min, max: filterLimits.cutoff.max, step: 0.5, format: v => v + ' Hz' },
+                    { key: 'window', label: 'Moving average window', type: 'range', min: filterLimits.window.min, max: filterLimits.window.max, step: 1, format: v => v + ' samples' },
+                    { key: 'minCutoff', label: '1€ min cutoff', type: 'range', min: filterLimits.minCutoff.min, max: filterLimits.minCutoff.max, step: 0.1, format: v => v.toFixed(1) + ' Hz' },
+                    { key: 'beta', label: '1€ beta', type: 'range', min: filterLimits.beta.min, max: filterLimits.beta.max, step: 0.01, format: v => v.toFixed(2) },
+                    { key: 'debug', label: 'Show raw vs. filtered readout', type: 'checkbox' }
+                ],
+                onChange: (values) => {
+                    filterSettings = window.TiltFilters.sanitizeSettings(values);
+                    window.TiltFilters.saveSettings(filterSettings);
+                    tiltFilter = window.TiltFilters.create(filterSettings);
+                    updateDebugReadout();
+                }
+            });
+        }
+        const themes = window.LevelRenderer.THEMES;
+        const palettes = window.LevelRenderer.PALETTES;
+        sections.push({
+            title: 'Appearance',
+            values: Object.assign({ theme: themeSetting }, accessibilitySettings),
+            defaults: Object.assign({ theme: 'auto' }, window.LevelRenderer.ACCESSIBILITY_DEFAULTS),
+            fields: [
+                {
+                    key: 'theme', label: 'Theme', type: 'select',
+                    options: [{ value: 'auto', label: 'Suggested by the level' }]
+                        .concat(Object.keys(themes).map(name => ({ value: name, label: themes[name].label })))
+                },
+                {
+                    key: 'palette', label: 'Color-blind palette', type: 'select',
+                    options: [{ value: 'none', label: 'None' }]
+                        .concat(Object.keys(palettes).map(name => ({ value: name, label: palettes[name].label })))
+                },
+                { key: 'patterns', label: 'Show tile patterns (goal, walls and holes without color)', type: 'checkbox' }
+            ],
+            onChange: (values) => {
+                window.LevelRenderer.saveThemeSetting(values.theme);
+                themeSetting = window.LevelRenderer.loadThemeSetting();
+                accessibilitySettings = window.LevelRenderer.sanitizeAccessibility(values);
+                window.LevelRenderer.saveAccessibility(accessibilitySettings);
+                window.LevelRenderer.setAccessibility(accessibilitySettings);
+                applyTheme();
+            }
+        });
+        if (minimap) {
+            sections.push({
+                title: 'Minimap',
+                values: minimapSettings,
+                defaults: window.Minimap.DEFAULT_SETTINGS,
+                fields: [
+                    {
+                        key: 'show', label: 'Show minimap', type: 'select',
+                        options: [
+                            { value: 'auto', label: 'When the maze is larger than the screen' },
+                            { value: 'always', label: 'Always' },
+                            { value: 'never', label: 'Never' }
+                        ]
+                    },
+                    {
+                        key: 'corner', label: 'Position', type: 'select',
+                        options: [
+                            { value: 'top-start', label: 'Top left' },
+                            { value: 'top-end', label: 'Top right' },
+                            { value: 'bottom-start', label: 'Bottom left' },
+                            { value: 'bottom-end', label: 'Bottom right' }
+                        ]
+                    }
+                ],
+                onChange: (values) => {
+                    minimapSettings = window.Minimap.sanitizeSettings(values);
+                    window.Minimap.saveSettings(minimapSettings);
+                    minimap.setSettings(minimapSettings);
+                    updateMinimap();
+                }
+            });
+        }
+        return sections;
+    }
+
+    /**
+     * Opens the settings panel on top of the pause menu.
+     */
+    function openSettings() {
+        window.SettingsPanel.open({
+            title: 'Settings',
+            sections: settingsSections(),
+            onClose: () => {
+                const el = document.getElementById('pauseMenuOverlay');
+                const prim = el && el.querySelector('.btn-primary');
+                if (prim && typeof prim.focus === 'function') prim.focus();
+            }
+        });
+    }
+
+    /**
+     * Shows, hides and refreshes the raw vs. filtered tilt readout depending on the filter settings.
+     */
+    function updateDebugReadout() {
+        if (!filterSettings.debug) {
+            if (debugReadout) debugReadout.classList.add('d-none');
+            return;
+        }
+        if (!debugReadout) {
+            debugReadout = document.createElement('div');
+            debugReadout.id = 'tiltDebugReadout';
+            debugReadout.className = 'position-fixed bottom-0 start-0 m-2 px-2 py-1 rounded bg-dark bg-opacity-75 text-white small font-monospace pe-none';
+            debugReadout.style.zIndex = '1040';
+            debugReadout.style.whiteSpace = 'pre';
+            document.body.appendChild(debugReadout);
+        }
+        debugReadout.classList.remove('d-none');
+        const fmt = v => (v >= 0 ? '+' : '') + v.toFixed(1).padStart(5, ' ');
+        const { raw, filtered } = tiltReadings;
+        debugReadout.textContent = `raw      x ${fmt(raw.x)}° y ${fmt(raw.y)}°\n` +
+            `filtered x ${fmt(filtered.x)}° y ${fmt(filtered.y)}°\n` +
+            `filter   ${filterSettings.type}\n` +
+            `source   ${activeSource || '-'}`;
+    }
+
+    /**
+     * Updates the calibration hints on the start overlays to tell whether a saved neutral tilt is used.
+     */
+    function updateCalibrationHints() {
+        const text = useFallbackInput ? ''
+            : (calibration
+                ? 'Using your saved neutral angle. You can recalibrate from the pause menu.'
+                : 'Hold your device the way you want to play: that angle becomes neutral.');
+        document.querySelectorAll('.calibration-hint').forEach(el => {
+            el.textContent = text;
+            el.classList.toggle('d-none', !text);
+        });
+    }
+
+    /**
+     * Shows a message to the user in the message area, replacing the previous one.
+     * Built with textContent, since messages may contain strings from the level data.
+     * @param {string|Array<string>} text - The message text, or several messages shown as a list in one alert.
+     * @param {string} [type='danger'] - The message type (e.g., 'success', 'warning', 'danger').
+     */
+    function showMessage(text, type = 'danger') {
+        const alert = document.createElement('div');
+        alert.className = `alert alert-${type}`;
+        alert.setAttribute('role', 'alert');
+        const lines = Array.isArray(text) ? text : [text];
+        if (lines.length === 1) {
+            alert.textContent = lines[0];
+        } else {
+            const list = document.createElement('ul');
+            list.className = 'mb-0 ps-3';
+            lines.forEach(line => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                list.appendChild(item);
+            });
+            alert.appendChild(list);
+        }
+        msg.innerHTML = '';
+        msg.appendChild(alert);
+    }
+
+    /**
+     * Clears the message area.
+     */
+    function clearMessage() {
+        msg.innerHTML = '';
+    }
+
+    /**
+     * Clamps a value between a minimum and maximum value.
+     * @param {number} val - The value to clamp.
+     * @param {number} min - The minimum value.
+     * @param {number} max - The maximum value.
+     * @returns {number} The clamped value.
+     */
+    function clamp(val, min, max) {
+        return Math.min(max, Math.max(min, val));
+    }
+
+    /**
+     * Creates a marble for a start/goal pair.
+     * @param {{start: {r: number, c: number}, goal: {r: number, c: number}}} pair - The start and goal cell.
+     * @returns {Object} The marble (see marbles).
+     */
+    function createMarble(pair) {
+        return {
+            ball: window.MarblePhysics.createBall(0, 0, 8),
+            start: pair.start,
+            goal: pair.goal,
+            checkpoint: null,
+            falling: null,
+            teleportCooldown: null,
+            home: false
+        };
+    }
+
+    /**
+     * Finds the booster cells in the level grid.
+     * @param {Array<Array<string>>} grid - The level grid.
+     * @returns {Array<{r: number, c: number, ch: string}>} The booster cells.
+     */
+    function findBoosterCells(grid) {
+        const cells = [];
+        for (let r = 0; r < grid.length; r++) {
+            for (let c = 0; c < grid[r].length; c++) {
+                const ch = grid[r][c];
+                if (window.MarblePhysics.BOOSTERS[ch]) cells.push({ r, c, ch });
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Finds doors that no key in the level opens.
+     * @param {Array<Array<string>>} grid - The level grid.
+     * @returns {Array<string>} The door letters without a matching key.
+     */
+    function findUnopenableDoors(grid) {
+        const doors = new Set();
+        const keys = new Set();
+        grid.forEach(row => Array.from(row).forEach(ch => {
+            if (window.MarblePhysics.isDoor(ch)) doors.add(ch);
+            if (window.MarblePhysics.isKey(ch)) keys.add(ch.toUpperCase());
+        }));
+        return Array.from(doors).filter(door => !keys.has(door));
+    }
+
+    /**
+     * Synchronizes the marbles' radius with the cell size, using the level's radius ratio.
+     * @param {number} cellSize - The size of the grid cell.
+     */
+    function syncBallRadius(cellSize) {
+        marbles.forEach(marble => {
+            marble.ball.radius = Math.max(3, cellSize * levelPhysics.ballRadiusRatio);
+        });
+    }
+
+    /**
+     * Checks if the current level has moving walls or gates.
+     * @returns {boolean} True if there is anything to draw on the dynamic layer, false otherwise.
+     */
+    function hasObstacles() {
+        return obstacles.movers.length > 0 || obstacles.gates.length > 0;
+    }
+
+    /**
+     * Gets the part of the world shown on screen: the camera window, or the whole maze while it fits.
+     * @returns {{x: number, y: number, width: number, height: number}} The visible rectangle in world coordinates.
+     */
+    function viewRect() {
+        if (camera) return { x: camera.drawnX, y: camera.drawnY, width: camera.viewWidth, height: camera.viewHeight };
+        return { x: 0, y: 0, width: renderInfo.cols * renderInfo.cellSize, height: renderInfo.rows * renderInfo.cellSize };
+    }
+
+    /**
+     * Redraws cells of the level, e.g. after a door opened: in the whole-level image and then the window on screen
+     * while the camera scrolls, else on the level canvas itself.
+     * @param {Array<{r: number, c: number}>} cells - The cells to redraw.
+     */
+    function redrawGridCells(cells) {
+        if (!renderInfo || !cells.length) return;
+        if (camera && levelImage) {
+            window.LevelRenderer.redrawCells(levelImage, world.grid, cells, { cellSize: renderInfo.cellSize, pairs: marbles, pixelRatio: levelImageRatio });
+            drawLevelWindow();
+        } else {
+            window.LevelRenderer.redrawCells(canvas, world.grid, cells, { cellSize: renderInfo.cellSize, pairs: marbles });
+        }
+    }
+
+    /**
+     * Renders the whole level into the offscreen levelImage, which the camera copies its window from.
+     * @param {Array<Array<string>>} grid - The grid to render.
+     * @param {number} cellSize - The cell size in CSS pixels.
+     */
+    function renderLevelImage(grid, cellSize) {
+        const width = grid[0].length * cellSize;
+        const height = grid.length * cellSize;
+        levelImageRatio = Math.min(window.devicePixelRatio || 1, Math.sqrt(MAX_LEVEL_IMAGE_PIXELS / (width * height)));
+        if (!levelImage) levelImage = document.createElement('canvas');
+        window.LevelRenderer.renderGridToCanvas(levelImage, grid, {
+            maxWidth: width,
+            maxHeight: height,
+            minCell: cellSize,
+            drawGridLines: true,
+            pairs: marbles,
+            pixelRatio: levelImageRatio
+        });
+    }
+
+    /**
+     * Copies the part of levelImage the camera shows onto the level canvas.
+     */
+    function drawLevelWindow() {
+        if (!camera || !levelImage) return;
+        const dpr = window.devicePixelRatio || 1;
+        const width = Math.floor(camera.viewWidth * dpr);
+        const height = Math.floor(camera.viewHeight * dpr);
+        // Resizing clears the canvas and is slow, so only do it when the window size changed
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.style.width = `${camera.viewWidth}px`;
+            canvas.style.height = `${camera.viewHeight}px`;
+            canvas.width = width;
+            canvas.height = height;
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        const ratio = levelImageRatio;
+        ctx.drawImage(levelImage, camera.drawnX * ratio, camera.drawnY * ratio, camera.viewWidth * ratio, camera.viewHeight * ratio, 0, 0, width, height);
+    }
+
+    /**
+     * Sets the transform of an overlay layer so that drawing in world coordinates lands where the level canvas shows it.
+     * @param {CanvasRenderingContext2D} ctx - The layer's context.
+     */
+    function applyLayerTransform(ctx) {
+        const dpr = window.devicePixelRatio || 1;
+        const view = viewRect();
+        ctx.setTransform(dpr, 0, 0, dpr, -view.x * dpr, -view.y * dpr);
+    }
+
+    /**
+     * Computes where the camera wants to be: centred on the marbles, but not past the maze's edges.
+     * @returns {{x: number, y: number}} The target position of the window's top-left corner.
+     */
+    function cameraTarget() {
+        let x = 0;
+        let y = 0;
+        marbles.forEach(marble => {
+            x += marble.ball.pos.x / marbles.length;
+            y += marble.ball.pos.y / marbles.length;
+        });
+        const maxX = Math.max(0, renderInfo.cols * renderInfo.cellSize - camera.viewWidth);
+        const maxY = Math.max(0, renderInfo.rows * renderInfo.cellSize - camera.viewHeight);
+        return { x: clamp(x - camera.viewWidth / 2, 0, maxX), y: clamp(y - camera.viewHeight / 2, 0, maxY) };
+    }
+
+    /**
+     * Moves the camera towards the marbles and copies the visible window of the grid again when it moved.
+     * @param {number|null} dt - Time since the last update in seconds, or null to jump to the target at once.
+     */
+    function updateCamera(dt) {
+        if (!camera || !renderInfo || !marbles.length) return;
+        const target = cameraTarget();
+        // Exponential smoothing, independent of the frame rate
+        const follow = dt === null ? 1 : 1 - Math.exp(-CAMERA_FOLLOW_RATE * dt);
+        camera.x += (target.x - camera.x) * follow;
+        camera.y += (target.y - camera.y) * follow;
+        const x = Math.round(camera.x);
+        const y = Math.round(camera.y);
+        if (dt !== null && x === camera.drawnX && y === camera.drawnY) return;
+        camera.drawnX = x;
+        camera.drawnY = y;
+        drawLevelWindow();
+        drawDynamicLayer();
+    }
+
+    /**
+     * Centres the camera on the marbles at once, e.g. after they were put back at the start.
+     */
+    function snapCamera() {
+        updateCamera(null);
+        drawBall();
+    }
+
+    /**
+     * Pending animation frame of a layout after a zoom change.
+     * @type {number|null}
+     */
+    let zoomFrame = null;
+
+    /**
+     * Changes the zoom and lays the maze out again on the next frame.
+     * @param {number} value - The new zoom factor; drawGrid clamps it to ZOOM_CELL_LIMITS.
+     */
+    function setZoom(value) {
+        if (!Number.isFinite(value) || value <= 0) return;
+        zoom = value;
+        if (zoomFrame !== null || !currentLevel) return;
+        zoomFrame = requestAnimationFrame(() => {
+            zoomFrame = null;
+            drawGrid(levelGrid);
+        });
+    }
+
+    /**
+     * Attaches pinch-to-zoom (two touch pointers) and ctrl+wheel zoom (trackpad pinch on desktops) to an element.
+     * @param {HTMLElement} target - The element receiving the gestures.
+     */
+    function attachZoomGestures(target) {
+        if (!target) return;
+        const touches = new Map(); // pointerId -> { x, y }
+        let pinch = null; // { distance, zoom }
+        const spread = () => {
+            const [a, b] = Array.from(touches.values());
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        };
+        const onPointerDown = (ev) => {
+            if (ev.pointerType !== 'touch') return;
+            touches.set(ev.pointerId, { x: ev.clientX, y: ev.clientY });
+            if (touches.size === 2) pinch = { distance: Math.max(1, spread()), zoom };
+        };
+        const onPointerMove = (ev) => {
+            if (!touches.has(ev.pointerId)) return;
+            touches.set(ev.pointerId, { x: ev.clientX, y: ev.clientY });
+            if (pinch && touches.size === 2) setZoom(pinch.zoom * spread() / pinch.distance);
+        };
+        const onPointerUp = (ev) => {
+            if (!touches.delete(ev.pointerId)) return;
+            if (touches.size < 2) pinch = null;
+        };
+        // Keep the browser from zooming the page instead
+        target.style.touchAction = 'none';
+        target.addEventListener('pointerdown', onPointerDown);
+        target.addEventListener('pointermove', onPointerMove);
+        target.addEventListener('pointerup', onPointerUp);
+        target.addEventListener('pointercancel', onPointerUp);
+        target.addEventListener('wheel', (ev) => {
+            if (!ev.ctrlKey) return;
+            ev.preventDefault();
+            setZoom(zoom * Math.exp(-ev.deltaY * 0.01));
+        }, { passive: false });
+    }
+
+    /**
+     * Activates the theme picked by the player or suggested by the current level and sets the page background to it.
+     */
+    function activateTheme() {
+        const theme = window.LevelRenderer.setTheme(window.LevelRenderer.resolveTheme(themeSetting, currentLevel && currentLevel.theme));
+        // Bootstrap's bg-light on the body is !important
+        document.body.style.setProperty('background-color', theme.background, 'important');
+    }
+
+    /**
+     * Switches to the theme the player picked and redraws the level with it.
+     */
+    function applyTheme() {
+        activateTheme();
+        if (!currentLevel || !levelGrid) return;
+        drawGrid(levelGrid);
+        if (minimap) minimap.redrawBackground(world ? world.grid : levelGrid);
+    }
+
+    /**
+     * Uncovers the minimap around the marbles and redraws its markers.
+     */
+    function updateMinimap() {
+        if (!minimap || !renderInfo) return;
+        const cellSize = renderInfo.cellSize;
+        const points = marbles.map((marble, index) => ({
+            x: marble.ball.pos.x / cellSize,
+            y: marble.ball.pos.y / cellSize,
+            color: window.LevelRenderer.marbleColor(index)
+        }));
+        minimap.explore(points);
+        const view = camera ? viewRect() : null;
+        minimap.draw(points, view && { x: view.x / cellSize, y: view.y / cellSize, width: view.width / cellSize, height: view.height / cellSize });
+    }
+
+    /**
+     * Forgets the cells visited in the current run of a fog-of-war level.
+     */
+    function resetFogMemory() {
+        fogMemory = null;
+        fogVisited = null;
+        if (!fog || !levelGrid) return;
+        fogMemory = document.createElement('canvas');
+        fogMemory.width = levelGrid[0].length;
+        fogMemory.height = levelGrid.length;
+        fogVisited = new Uint8Array(fogMemory.width * fogMemory.height);
+    }
+
+    /**
+     * Remembers the cells lit by the marbles and redraws the darkness of a fog-of-war level around them.
+     */
+    function updateFog() {
+        if (!fog || !fogLayer || !renderInfo) return;
+        const cellSize = renderInfo.cellSize;
+        if (fogMemory) {
+            const memoryCtx = fogMemory.getContext('2d');
+            memoryCtx.fillStyle = `rgba(0,0,0,${FOG_MEMORY_REVEAL})`;
+            marbles.forEach(marble => {
+                const x = marble.ball.pos.x / cellSize;
+                const y = marble.ball.pos.y / cellSize;
+                const minRow = Math.max(0, Math.floor(y - fog.radius));
+                const maxRow = Math.min(fogMemory.height - 1, Math.floor(y + fog.radius));
+                const minCol = Math.max(0, Math.floor(x - fog.radius));
+                const maxCol = Math.min(fogMemory.width - 1, Math.floor(x + fog.radius));
+                for (let r = minRow; r <= maxRow; r++) {
+                    for (let c = minCol; c <= maxCol; c++) {
+                        const index = r * fogMemory.width + c;
+                        if (fogVisited[index] || Math.hypot(c + 0.5 - x, r + 0.5 - y) > fog.radius) continue;
+                        fogVisited[index] = 1;
+                        memoryCtx.fillRect(c, r, 1, 1);
+                    }
+                }
+            });
+        }
+        const ctx = fogLayer.getContext('2d');
+        applyLayerTransform(ctx);
+        const lights = marbles.map(marble => ({ x: marble.ball.pos.x, y: marble.ball.pos.y, radius: fog.radius * cellSize }));
+        window.LevelRenderer.drawFog(ctx, viewRect(), fogMemory, cellSize, lights);
+    }
+
+    /**
+     * Draws the dynamic layer: bumpers placed off the grid cells, and the moving walls and gates at their current position.
+     * On fog-of-war levels the bumper flashes are drawn here too, below the darkness, so they do not give bumpers away.
+     */
+    function drawDynamicLayer() {
+        if (!dynamicLayer || !renderInfo) return;
+        const ctx = dynamicLayer.getContext('2d');
+        const view = viewRect();
+        applyLayerTransform(ctx);
+        ctx.clearRect(view.x, view.y, view.width, view.height);
+        window.LevelRenderer.drawBumpers(ctx, bumpers.filter(b => !b.onGrid), renderInfo.cellSize);
+        flashesOnDynamicLayer = !!fog && bumperFlashes.some(flash => flash > 0);
+        if (flashesOnDynamicLayer) window.LevelRenderer.drawBumpers(ctx, bumpers, renderInfo.cellSize, bumperFlashes);
+        if (hasObstacles()) {
+            window.LevelRenderer.drawObstacles(ctx, window.MarblePhysics.obstacleRects(obstacles, obstacleTime), renderInfo.cellSize);
+        }
+    }
+
+    /**
+     * Synchronizes the overlay size with the rendering information.
+     */
+    function syncOverlaySize() {
+        if (!renderInfo) return;
+        const dpr = window.devicePixelRatio || 1;
+        const view = viewRect();
+        [dynamicLayer, fogLayer, overlay].forEach(layer => {
+            if (!layer) return;
+            layer.style.width = `${view.width}px`;
+            layer.style.height = `${view.height}px`;
+            layer.width = Math.floor(view.width * dpr);
+            layer.height = Math.floor(view.height * dpr);
+            const ctx = layer.getContext('2d');
+            applyLayerTransform(ctx);
+            ctx.clearRect(view.x, view.y, view.width, view.height);
+        });
+        drawDynamicLayer();
+        updateFog();
+    }
+
+    /**
+     * Places every marble at its start cell.
+     */
+    function placeMarblesAtStart() {
+        marbles.forEach(marble => placeMarble(marble, marble.start));
+    }
+
+    /**
+     * Places a marble at rest in the centre of a cell.
+     * @param {Object} marble - The marble.
+     * @param {{r: number, c: number}|null} cell - The cell to place the marble in.
+     */
+    function placeMarble(marble, cell) {
+        if (!renderInfo || !cell) return;
         syncBallRadius(renderInfo.cellSize);
-        ball.pos.x = (startCell.c + 0.5) * renderInfo.cellSize;
-        ball.pos.y = (startCell.r + 0.5) * renderInfo.cellSize;
-        ball.vel.x = 0;
-        ball.vel.y = 0;
+        marble.ball.pos.x = (cell.c + 0.5) * renderInfo.cellSize;
+        marble.ball.pos.y = (cell.r + 0.5) * renderInfo.cellSize;
+        marble.ball.vel.x = 0;
+        marble.ball.vel.y = 0;
+        marble.falling = null;
+        marble.teleportCooldown = null;
+        marble.home = false;
         goalReached = false;
         drawBall();
     }
 
     /**
-     * Rescales the ball's position and radius based on the new cell size.
-     * @param {number} oldCellSize - The old size of the grid cell.
+     * Puts a marble back into play after it was lost (e.g. dropped into a hole): at its last checkpoint, or at its start.
+     * @param {Object} marble - The marble.
      */
-    function rescaleBall(oldCellSize) {
-        if (!oldCellSize || !renderInfo) return;
-        const scale = renderInfo.cellSize / oldCellSize;
-        ball.pos.x *= scale;
-        ball.pos.y *= scale;
-        syncBallRadius(renderInfo.cellSize);
+    function respawnMarble(marble) {
+        placeMarble(marble, marble.checkpoint || marble.start);
     }
 
     /**
-     * Checks if a cell is a wall based on the current level data.
-     * @param {number} col - The column index of the cell.
-     * @param {number} row - The row index of the cell.
-     * @returns {boolean} True if the cell is a wall, false otherwise.
+     * Rescales the marbles' positions and radius based on the new cell size.
+     * @param {number} oldCellSize - The old size of the grid cell.
      */
-    function isWall(col, row) {
-        if (!currentLevel || !currentLevel.grid) return false;
-        if (row < 0 || col < 0) return true;
-        if (row >= currentLevel.grid.length || col >= currentLevel.grid[0].length) return true;
-        return currentLevel.grid[row][col] === '#';
+    function rescaleMarbles(oldCellSize) {
+        if (!oldCellSize || !renderInfo) return;
+        const scale = renderInfo.cellSize / oldCellSize;
+        marbles.forEach(marble => {
+            marble.ball.pos.x *= scale;
+            marble.ball.pos.y *= scale;
+        });
+        syncBallRadius(renderInfo.cellSize);
     }
 
     /**
-     * Computes the acceleration values from the device's orientation sensor.
+     * Computes the acceleration values from the active input source, scaled by the level's acceleration scale.
      * @returns {Object} An object containing the x and y acceleration values.
      */
     function computeAcceleration() {
-        let ax = 0;
-        let ay = 0;
-        if (sensorState.enabled && sensorState.available) {
-            ax = sensorState.accel.x;
-            ay = sensorState.accel.y;
+        let tilt = null;
+        if (inputOwner === 'gamepad') {
+            if (sensorState.enabled) tilt = gamepadState.tilt;
+        } else if (sensorState.enabled && sensorState.available) {
+            tilt = sensorState.tilt;
         }
-        return { ax, ay };
+        if (!tilt) return { ax: 0, ay: 0 };
+        return { ax: tilt.x * levelPhysics.accelScale, ay: tilt.y * levelPhysics.accelScale };
     }
 
     /**
-     * Performs a single step of physics simulation, updating the ball's position and velocity.
+     * Performs a single step of physics simulation, moving every marble and resolving what they roll over.
      * @param {number} dt - The time delta for the simulation step.
+     * @returns {boolean} False once the goal has been reached, so no further steps are run.
      */
     function stepPhysics(dt) {
-        if (!renderInfo) return;
-        const { ax, ay } = computeAcceleration();
-        const friction = 1.8; // per second
-        ball.vel.x = (ball.vel.x + ax * dt) * Math.exp(-friction * dt);
-        ball.vel.y = (ball.vel.y + ay * dt) * Math.exp(-friction * dt);
+        if (!world) return false;
+        if (hasObstacles()) {
+            obstacleTime += dt;
+            world.obstacles = window.MarblePhysics.obstacleRects(obstacles, obstacleTime);
+        }
+        for (let i = 0; i < bumperFlashes.length; i++) {
+            bumperFlashes[i] = Math.max(0, bumperFlashes[i] - dt / BUMPER_FLASH_DURATION);
+        }
+        const accel = computeAcceleration();
+        marbles.forEach(marble => {
+            if (marble.falling) stepFall(marble, dt);
+            else stepMarble(marble, accel, dt);
+        });
+        const rolling = marbles.filter(marble => !marble.falling);
+        for (let i = 0; i < rolling.length; i++) {
+            for (let j = i + 1; j < rolling.length; j++) {
+                window.MarblePhysics.collideBalls(world, rolling[i].ball, rolling[j].ball);
+            }
+        }
+        markCellsChanged(window.MarblePhysics.updateSwitches(world, switches, switchState, rolling.map(marble => marble.ball)));
+        checkGoals();
+        return !goalReached;
+    }
 
-        const cellSize = renderInfo.cellSize;
-        const radius = ball.radius;
-
-        const speed = Math.hypot(ball.vel.x, ball.vel.y);
-        const maxTravelPerSubStep = cellSize * 0.45;
-        const steps = Math.max(1, Math.ceil(speed * dt / Math.max(1, maxTravelPerSubStep)));
-        const stepDt = dt / steps;
-
-        for (let i = 0; i < steps; i++) {
-            const nextX = ball.pos.x + ball.vel.x * stepDt;
-            const nextY = ball.pos.y + ball.vel.y * stepDt;
-            const resolved = resolveCircleCollisions(nextX, nextY, radius, cellSize);
-            ball.pos.x = resolved.x;
-            ball.pos.y = resolved.y;
+    /**
+     * Moves a marble by one physics step and applies the tile it rolls onto.
+     * @param {Object} marble - The marble.
+     * @param {Object} accel - The acceleration input ({ ax, ay }).
+     * @param {number} dt - The time delta for the simulation step.
+     */
+    function stepMarble(marble, accel, dt) {
+        const ball = window.MarblePhysics.step(world, marble.ball, accel, dt);
+        marble.ball = ball;
+        ball.bumped.forEach(i => { bumperFlashes[i] = 1; });
+        // Squeezed between a moving wall and another wall: it would end up inside one, so put it back into play
+        if (ball.crushed) {
+            respawnMarble(marble);
+            return;
         }
 
-        if (!goalReached && goalCell) {
-            const cellR = Math.floor(ball.pos.y / cellSize);
-            const cellC = Math.floor(ball.pos.x / cellSize);
-            if (cellR === goalCell.r && cellC === goalCell.c) {
-                goalReached = true;
-                pauseGame();
-                showWinModal();
+        const tile = window.MarblePhysics.tileAt(world, ball.pos.x, ball.pos.y);
+        const cell = window.MarblePhysics.cellAt(world, ball.pos.x, ball.pos.y);
+        if (window.MarblePhysics.isKey(tile)) {
+            markCellsChanged(window.MarblePhysics.pickUpKey(world, cell.r, cell.c));
+        }
+        if (collectTotal > 0) {
+            const collected = window.MarblePhysics.collectTouched(world, ball);
+            if (collected.length) {
+                collectedCount += collected.length;
+                markCellsChanged(collected);
+                updateCollectHud();
             }
         }
+        if (tile === window.MarblePhysics.TILES.CHECKPOINT) {
+            reachCheckpoint(marble, cell);
+        }
+        if (tile === window.MarblePhysics.TILES.HOLE) {
+            marble.falling = { cell, elapsed: 0 };
+            ball.vel.x = 0;
+            ball.vel.y = 0;
+            addTimePenalty(HOLE_PENALTY_MS);
+            return;
+        }
+        stepTeleport(marble, dt);
     }
 
     /**
-     * Resolves circle collisions for the ball, adjusting its position and velocity.
-     * @param {number} nextX - The proposed next x position of the ball.
-     * @param {number} nextY - The proposed next y position of the ball.
-     * @param {number} radius - The radius of the ball.
-     * @param {number} cellSize - The size of the grid cell.
-     * @returns {Object} The resolved x and y coordinates.
-     */
-    function resolveCircleCollisions(nextX, nextY, radius, cellSize) {
-        let cx = nextX;
-        let cy = nextY;
-        const maxIter = 4;
-        const maxX = renderInfo.cols * cellSize - radius;
-        const maxY = renderInfo.rows * cellSize - radius;
-        for (let iter = 0; iter < maxIter; iter++) {
-            let collided = false;
-            const minRow = Math.max(0, Math.floor((cy - radius) / cellSize));
-            const maxRow = Math.min(renderInfo.rows - 1, Math.floor((cy + radius) / cellSize));
-            const minCol = Math.max(0, Math.floor((cx - radius) / cellSize));
-            const maxCol = Math.min(renderInfo.cols - 1, Math.floor((cx + radius) / cellSize));
-            for (let row = minRow; row <= maxRow; row++) {
-                for (let col = minCol; col <= maxCol; col++) {
-                    if (!isWall(col, row)) continue;
-                    const x0 = col * cellSize;
-                    const y0 = row * cellSize;
-                    const x1 = x0 + cellSize;
-                    const y1 = y0 + cellSize;
-                    const closestX = clamp(cx, x0, x1);
-                    const closestY = clamp(cy, y0, y1);
-                    const dx = cx - closestX;
-                    const dy = cy - closestY;
-                    const distSq = dx * dx + dy * dy;
-                    const radSq = radius * radius;
-                    if (distSq < radSq - 1e-6) {
-                        const dist = Math.sqrt(Math.max(distSq, 0));
-                        let nx = 0;
-                        let ny = 0;
-                        if (dist > 0) {
-                            nx = dx / dist;
-                            ny = dy / dist;
-                        } else {
-                            const leftPen = Math.abs(cx - x0);
-                            const rightPen = Math.abs(x1 - cx);
-                            const topPen = Math.abs(cy - y0);
-                            const bottomPen = Math.abs(y1 - cy);
-                            const minPen = Math.min(leftPen, rightPen, topPen, bottomPen);
-                            if (minPen === leftPen) {
-                                nx = -1;
-                            } else if (minPen === rightPen) {
-                                nx = 1;
-                            } else if (minPen === topPen) {
-                                ny = -1;
-                            } else {
-                                ny = 1;
-                            }
-                        }
-                        const penetration = radius - dist + 0.01;
-                        cx += nx * penetration;
-                        cy += ny * penetration;
-                        const vDotN = ball.vel.x * nx + ball.vel.y * ny;
-                        if (vDotN < 0) {
-                            ball.vel.x -= vDotN * nx;
-                            ball.vel.y -= vDotN * ny;
-                        }
-                        collided = true;
-                    }
-                }
-            }
-            if (!collided) break;
+     * Checks which marbles are in their goal. The level is won once all of them are at the same time, provided enough
+     * collectibles were picked up.
+     */
+    function checkGoals() {
+        if (goalReached || !marbles.length) return;
+        marbles.forEach(marble => {
+            const cell = window.MarblePhysics.cellAt(world, marble.ball.pos.x, marble.ball.pos.y);
+            marble.home = !marble.falling && cell.r === marble.goal.r && cell.c === marble.goal.c;
+        });
+        const allHome = marbles.every(marble => marble.home);
+        const blocked = allHome && collectedCount < collectRequired;
+        if (blocked !== goalBlocked) {
+            goalBlocked = blocked;
+            updateCollectHud();
+        }
+        if (allHome && !blocked) {
+            goalReached = true;
+            pauseGame();
+            showWinModal();
         }
-        cx = clamp(cx, radius, maxX);
-        cy = clamp(cy, radius, maxY);
-        return { x: cx, y: cy };
     }
 
     /**
-     * Draws the ball on the overlay canvas at its current position.
+     * Moves a marble to the partner of the teleporter it is on, keeping its velocity, unless its cooldown is running.
+     * The cooldown lasts until it has run out and the marble has left the cell it arrived in, so it cannot bounce
+     * back and forth.
+     * @param {Object} marble - The marble.
+     * @param {number} dt - The time delta for the simulation step.
+     */
+    function stepTeleport(marble, dt) {
+        const ball = marble.ball;
+        const cell = window.MarblePhysics.cellAt(world, ball.pos.x, ball.pos.y);
+        const cooldown = marble.teleportCooldown;
+        if (cooldown) {
+            cooldown.remaining -= dt;
+            const stillInside = cell.r === cooldown.cell.r && cell.c === cooldown.cell.c;
+            if (cooldown.remaining > 0 || stillInside) return;
+            marble.teleportCooldown = null;
+        }
+        const partner = window.MarblePhysics.teleporterPartner(world, cell.r, cell.c);
+        if (!partner) return;
+        // Arrive in the centre of the partner: an offset could push the ball into a wall next to it
+        ball.pos.x = (partner.c + 0.5) * world.cellSize;
+        ball.pos.y = (partner.r + 0.5) * world.cellSize;
+        marble.teleportCooldown = { cell: partner, remaining: TELEPORT_COOLDOWN };
+    }
+
+    /**
+     * Advances the fall animation of a marble: it is pulled into the hole centre and respawns once the animation ends.
+     * @param {Object} marble - The falling marble.
+     * @param {number} dt - The time delta for the simulation step.
+     */
+    function stepFall(marble, dt) {
+        const falling = marble.falling;
+        falling.elapsed += dt;
+        const cellSize = world.cellSize;
+        const targetX = (falling.cell.c + 0.5) * cellSize;
+        const targetY = (falling.cell.r + 0.5) * cellSize;
+        const pull = 1 - Math.exp(-12 * dt);
+        marble.ball.pos.x += (targetX - marble.ball.pos.x) * pull;
+        marble.ball.pos.y += (targetY - marble.ball.pos.y) * pull;
+        if (falling.elapsed >= FALL_DURATION) respawnMarble(marble);
+    }
+
+    /**
+     * Draws the marbles on the overlay canvas at their current position.
+     * A marble falling into a hole shrinks and the time penalty is shown above the hole.
      */
     function drawBall() {
         if (!overlay || !renderInfo) return;
         const ctx = overlay.getContext('2d');
-        const width = renderInfo.cols * renderInfo.cellSize;
-        const height = renderInfo.rows * renderInfo.cellSize;
-        ctx.clearRect(0, 0, width, height);
-        ctx.beginPath();
-        ctx.fillStyle = '#212529';
-        ctx.arc(ball.pos.x, ball.pos.y, ball.radius, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.strokeStyle = '#f8f9fa';
-        ctx.lineWidth = Math.max(1, ball.radius * 0.1);
-        ctx.stroke();
+        const view = viewRect();
+        const cellSize = renderInfo.cellSize;
+        applyLayerTransform(ctx);
+        ctx.clearRect(view.x, view.y, view.width, view.height);
+        // The animation would give the boosters away in the dark
+        if (boosterCells.length && !fog) {
+            window.LevelRenderer.drawBoosterAnimation(ctx, boosterCells, renderInfo.cellSize, performance.now() / 1000);
+        }
+        // In the dark the flashes are drawn on the dynamic layer instead (see drawDynamicLayer)
+        if (bumpers.length && !fog) window.LevelRenderer.drawBumpers(ctx, bumpers, renderInfo.cellSize, bumperFlashes);
+        marbles.forEach(marble => {
+            if (!marble.checkpoint) return;
+            // Ring around the active checkpoint so players can see where they will respawn
+            ctx.beginPath();
+            ctx.strokeStyle = 'rgba(253,126,20,0.8)';
+            ctx.lineWidth = Math.max(1, cellSize * 0.08);
+            ctx.arc((marble.checkpoint.c + 0.5) * cellSize, (marble.checkpoint.r + 0.5) * cellSize, cellSize * 0.45, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        marbles.forEach((marble, index) => {
+            const ball = marble.ball;
+            const falling = marble.falling;
+            const progress = falling ? Math.min(1, falling.elapsed / FALL_DURATION) : 0;
+            const radius = ball.radius * (1 - progress);
+            if (radius > 0.5) {
+                // Number the marbles like their start and goal cells when there is more than one
+                const label = marbles.length > 1 ? String(index + 1) : undefined;
+                window.LevelRenderer.drawMarble(ctx, ball.pos.x, ball.pos.y, radius, index, label);
+            }
+            if (falling) {
+                ctx.save();
+                ctx.globalAlpha = 1 - progress;
+                ctx.fillStyle = '#dc3545';
+                ctx.font = `bold ${Math.max(10, Math.round(cellSize * 0.6))}px sans-serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'bottom';
+                ctx.fillText(`+${HOLE_PENALTY_MS / 1000}s`, (falling.cell.c + 0.5) * cellSize, falling.cell.r * cellSize - progress * cellSize * 0.5);
+                ctx.restore();
+            }
+        });
     }
 
     /**
@@ -828,10 +2053,16 @@
         }
         if (!currentLevel || !renderInfo) return;
         if (lastFrameTime === null) lastFrameTime = timestamp;
-        const dt = Math.min(0.032, Math.max(0.001, (timestamp - lastFrameTime) / 1000));
+        const frameDt = Math.min(0.1, Math.max(0, (timestamp - lastFrameTime) / 1000));
         lastFrameTime = timestamp;
-        stepPhysics(dt);
+        physicsClock.advance(frameDt, stepPhysics);
+        updateCamera(frameDt);
+        updateFog();
+        updateMinimap();
+        // Only moving things (and flashes in the dark, until they fade) need the dynamic layer redrawn every frame
+        if (hasObstacles() || (fog && (flashesOnDynamicLayer || bumperFlashes.some(flash => flash > 0)))) drawDynamicLayer();
         drawBall();
+        if (filterSettings.debug) updateDebugReadout();
         animationId = requestAnimationFrame(loop);
     }
 
@@ -842,50 +2073,145 @@
         if (animationId) cancelAnimationFrame(animationId);
         animationPaused = false;
         lastFrameTime = null;
+        physicsClock.reset();
         animationId = requestAnimationFrame(loop);
     }
 
     /**
-     * Handles device orientation events, updating the sensor state.
+     * Applies a device tilt reading from any sensor source to the sensor state: captures the raw
+     * reading as the new neutral orientation when a calibration is pending, rotates the reading and
+     * the neutral into screen space, filters the reading and maps it to a normalized tilt.
+     * @param {number} beta - Front-back tilt in degrees.
+     * @param {number} gamma - Left-right tilt in degrees.
+     * @param {number} timestamp - The event timestamp in milliseconds.
+     */
+    function applyDeviceTilt(beta, gamma, timestamp) {
+        sensorState.available = true;
+        const angle = window.TiltInput.screenAngle();
+        const tilt = window.TiltInput.screenTilt(beta, gamma, angle);
+        if (calibrationPending) {
+            calibrationPending = false;
+            calibration = { beta, gamma };
+            window.TiltInput.saveCalibration(calibration);
+            updateCalibrationHints();
+        }
+        const filtered = tiltFilter.apply(tilt, timestamp);
+        tiltReadings.raw = tilt;
+        tiltReadings.filtered = filtered;
+        if (!sensorActivityAnchor || Math.hypot(filtered.x - sensorActivityAnchor.x, filtered.y - sensorActivityAnchor.y) > SENSOR_ACTIVITY_DEG) {
+            sensorActivityAnchor = { x: filtered.x, y: filtered.y };
+            noteInputActivity('sensor');
+        }
+        const norm = window.TiltInput.normalizeTilt(filtered, window.TiltInput.calibrationTilt(calibration, angle), tiltSettings);
+        sensorState.tilt.x = norm.x;
+        sensorState.tilt.y = norm.y;
+    }
+
+    /**
+     * Determines which sensor source drives the ball, resetting the filter when the source changes.
+     * @returns {string} 'orientation' or 'motion'.
+     */
+    function selectSensorSource() {
+        const source = window.TiltInput.pickSource(tiltSettings.source, sourceMonitors, performance.now());
+        if (source !== activeSource) {
+            activeSource = source;
+            tiltFilter.reset();
+        }
+        return source;
+    }
+
+    /**
+     * Handles device orientation events, updating the sensor state when orientation is the active source.
      * @param {DeviceOrientationEvent} event - The device orientation event.
      */
     function handleOrientation(event) {
-        sensorState.available = true;
-        const gamma = clamp(event.gamma || 0, -50, 50); // left-right
-        const beta = clamp(event.beta || 0, -50, 50); // front-back
-        const angle = (window.screen && window.screen.orientation && window.screen.orientation.angle) || window.orientation || 0;
-        let xTilt = gamma;
-        let yTilt = beta;
-        switch (angle) {
-            case 90: xTilt = beta; yTilt = -gamma; break;
-            case -90:
-            case 270: xTilt = -beta; yTilt = gamma; break;
-            case 180: xTilt = -gamma; yTilt = -beta; break;
-            default: break;
+        const valid = event.beta != null && event.gamma != null;
+        sourceMonitors.orientation.record(valid, performance.now());
+        if (!valid || selectSensorSource() !== 'orientation') return;
+        applyDeviceTilt(event.beta, event.gamma, event.timeStamp);
+    }
+
+    /**
+     * Handles device motion events, updating the sensor state from the gravity vector when motion is the active source.
+     * @param {DeviceMotionEvent} event - The device motion event.
+     */
+    function handleMotion(event) {
+        const angles = window.TiltInput.motionToDeviceAngles(event.accelerationIncludingGravity);
+        sourceMonitors.motion.record(!!angles, performance.now());
+        if (!angles || selectSensorSource() !== 'motion') return;
+        applyDeviceTilt(angles.beta, angles.gamma, event.timeStamp);
+    }
+
+    /**
+     * Records that an input source was just used, handing it control of the ball.
+     * @param {string} source - 'sensor' or 'gamepad'.
+     */
+    function noteInputActivity(source) {
+        inputOwner = source;
+    }
+
+    /**
+     * Toggles the pause menu, shared by the Escape key and the gamepad start button: closes the settings panel if it
+     * is open, else the pause menu, else opens the pause menu once the game is running.
+     */
+    function togglePauseMenu() {
+        if (window.SettingsPanel.isOpen()) {
+            window.SettingsPanel.close();
+        } else if (pauseMenuActive) {
+            hidePauseMenu();
+        } else if (sensorState.enabled) {
+            showPauseMenu();
         }
-        const normX = clamp(xTilt / 45, -1, 1);
-        const normY = clamp(yTilt / 45, -1, 1);
-        const accelScale = 900; // px/s^2
-        sensorState.accel.x = normX * accelScale;
-        sensorState.accel.y = normY * accelScale;
     }
 
     /**
-     * Attaches the orientation event listener if not already enabled.
+     * Handles the gamepad start button: starts the game from the start overlay, otherwise toggles the pause menu.
      */
-    const attachOrientationListener = () => {
+    function handleGamepadPause() {
+        if (startOverlay && !startOverlay.classList.contains('d-none')) {
+            startOverlay.click();
+            startTimer();
+            return;
+        }
+        togglePauseMenu();
+    }
+
+    /**
+     * Handles the gamepad select button: restarts the level unless it was already won.
+     */
+    function handleGamepadRestart() {
+        if (goalReached || !sensorState.enabled) return;
+        restartLevel();
+        if (pauseMenuActive) hidePauseMenu();
+    }
+
+    /**
+     * Attaches the input listeners if not already enabled: the orientation and motion sensors,
+     * or keyboard and mouse controls when the fallback was chosen.
+     */
+    const attachInputListeners = () => {
         if (sensorState.enabled) return;
         sensorState.enabled = true;
+        if (useFallbackInput) {
+            // Dragging on the maze only, so a pinch on it zooms instead of steering (see attachZoomGestures)
+            window.FallbackInput.attach(sensorState, {
+                dragTarget: canvas.parentElement || window,
+                onActivity: () => noteInputActivity('sensor')
+            });
+            return;
+        }
         window.addEventListener('deviceorientation', handleOrientation, true);
+        window.addEventListener('devicemotion', handleMotion, true);
     };
 
     /**
      * Callback function for when orientation permission is granted.
      */
     function onOrientationPermissionGranted() {
-        attachOrientationListener();
+        if (!calibration) calibrationPending = true;
+        attachInputListeners();
         if (startOverlay) startOverlay.classList.add('d-none');
-        placeBallAtStart();
+        placeMarblesAtStart();
         startTimer();
         showLockPrompt();
     }
@@ -907,23 +2233,33 @@
         handleLandscapeState();
 
         if (!startOverlay) {
-            attachOrientationListener();
+            if (!calibration && !useFallbackInput) calibrationPending = true;
+            attachInputListeners();
             bindTimerStartOnce();
             showLockPrompt();
             return;
         }
 
+        if (useFallbackInput) {
+            const hint = document.getElementById('startOverlayHint');
+            const chip = document.getElementById('startOverlayChip');
+            if (hint) hint.textContent = 'Use the arrow keys/WASD or drag with the mouse to move the ball.';
+            if (chip) chip.textContent = 'Click to start';
+        }
+
         startOverlay.classList.remove('d-none');
         startOverlay.addEventListener('click', () => {
             startOverlay.classList.add('d-none');
-            attachOrientationListener();
+            if (!calibration && !useFallbackInput) calibrationPending = true;
+            attachInputListeners();
             bindTimerStartOnce();
             showLockPrompt();
         })
     }
 
     /**
-     * Draws the grid on the main canvas based on the level data.
+     * Draws the grid on the main canvas. Once the world exists its grid is drawn instead of the level data,
+     * so doors opened during the run stay open across resizes.
      * @param {Array<Array<string>>} grid - The level grid.
      */
     function drawGrid(grid) {
@@ -967,27 +2303,62 @@
             const playArea = document.querySelector('.play-area');
             if (playArea) playArea.style.minHeight = `${maxHeight}px`;
 
+            // Shrink the maze to fit, but not below a comfortable cell size: larger mazes scroll with the camera
+            const fitCell = Math.max(1, Math.floor(Math.min(maxWidth / cols, maxHeight / rows)));
+            const baseCell = Math.max(fitCell, COMFORT_CELL_SIZE);
+            const cellSize = clamp(Math.round(baseCell * zoom), ZOOM_CELL_LIMITS.min, Math.max(ZOOM_CELL_LIMITS.max, fitCell));
+            zoom = cellSize / baseCell;
+
             const oldCellSize = renderInfo ? renderInfo.cellSize : null;
-            const renderResult = window.LevelRenderer.renderGridToCanvas(canvas, grid, { maxWidth, maxHeight, minCell: 8, drawGridLines: true });
+            let renderResult = null;
+            if (cols * cellSize > maxWidth || rows * cellSize > maxHeight) {
+                // The whole grid is rendered offscreen once; updateCamera shows the window around the marbles
+                renderLevelImage(world ? world.grid : grid, cellSize);
+                camera = {
+                    viewWidth: Math.min(cols * cellSize, safeWidthLimit, 1200),
+                    viewHeight: Math.min(rows * cellSize, maxHeight),
+                    x: 0,
+                    y: 0,
+                    drawnX: 0,
+                    drawnY: 0
+                };
+                renderResult = { cols, rows, cellSize };
+            } else {
+                camera = null;
+                levelImage = null;
+                renderResult = window.LevelRenderer.renderGridToCanvas(canvas, world ? world.grid : grid, {
+                    maxWidth: cols * cellSize,
+                    maxHeight: rows * cellSize,
+                    minCell: ZOOM_CELL_LIMITS.min,
+                    drawGridLines: true,
+                    pairs: marbles
+                });
+            }
 
             if (renderResult) {
-                const renderedHeight = renderResult.rows * renderResult.cellSize;
-                if (aspectWidth > maxWidth && renderedHeight < maxHeight) {
-                    const topGap = Math.floor((maxHeight - renderedHeight) / 2);
-                    canvas.style.marginTop = `${topGap}px`;
-                    if (overlay) overlay.style.marginTop = `${topGap}px`;
-                } else {
-                    canvas.style.marginTop = '0px';
-                    if (overlay) overlay.style.marginTop = '0px';
+                const renderedHeight = camera ? camera.viewHeight : renderResult.rows * renderResult.cellSize;
+                let topGap = 0;
+                if ((camera || aspectWidth > maxWidth) && renderedHeight < maxHeight) {
+                    topGap = Math.floor((maxHeight - renderedHeight) / 2);
                 }
+                // Every stacked layer gets the same offset so the fog mask and marbles line up with the maze.
+                [canvas, dynamicLayer, fogLayer, overlay].forEach(layer => {
+                    if (layer) layer.style.marginTop = `${topGap}px`;
+                });
                 renderInfo = renderResult;
-                syncOverlaySize();
+                world = world
+                    ? window.MarblePhysics.resizeWorld(world, renderResult.cellSize)
+                    : buildWorld(renderResult.cellSize);
                 if (oldCellSize) {
-                    rescaleBall(oldCellSize);
+                    rescaleMarbles(oldCellSize);
                 } else {
-                    placeBallAtStart();
+                    placeMarblesAtStart();
                 }
+                updateCamera(null);
+                syncOverlaySize();
                 drawBall();
+                if (minimap) minimap.setLarge(!!camera);
+                updateMinimap();
             }
         } catch (e) {
             console.error('Render failed', e);
@@ -1003,16 +2374,80 @@
         if (!levelObj) return;
         currentLevel = levelObj;
         resetTimer();
+        resetCheckpoints();
         timerStartBound = false;
         bindTimerStartOnce();
         clearMessage();
-        const specials = findSpecialCells(levelObj.grid);
-        startCell = specials.start;
-        goalCell = specials.goal;
-        if (!startCell) showMessage('Level is missing a start cell (S).', 'warning');
-        if (!goalCell) showMessage('Level is missing a goal cell (G).', 'warning');
-        drawGrid(levelObj.grid);
-        placeBallAtStart();
+        // Problems found while loading, shown together once the level is set up
+        const warnings = [];
+        const physics = window.MarblePhysics.validateLevelParams(levelObj.physics);
+        levelPhysics = Object.assign({}, window.MarblePhysics.DEFAULTS, physics.params);
+        if (physics.errors.length) {
+            warnings.push('Invalid level physics (' + physics.errors.join('; ') + '), using defaults instead.');
+        }
+        const marblePairs = window.MarblePhysics.pairStartsAndGoals(levelObj.grid, levelObj.pairs);
+        marbles = marblePairs.pairs.map(createMarble);
+        boosterCells = findBoosterCells(levelObj.grid);
+        world = null;
+        changedCells = [];
+        const switchCheck = window.MarblePhysics.validateSwitches(levelObj.switches, levelObj.grid);
+        switches = switchCheck.switches;
+        switchState = window.MarblePhysics.createSwitchState(switches);
+        levelGrid = window.MarblePhysics.applySwitchLayout(levelObj.grid, switches);
+        if (switchCheck.errors.length) {
+            warnings.push('Invalid switches (' + switchCheck.errors.join('; ') + '), skipping them.');
+        }
+        const dynamics = window.MarblePhysics.validateObstacles(levelObj, levelObj.grid.length, levelObj.grid[0].length);
+        obstacles = dynamics.obstacles;
+        obstacleTime = 0;
+        if (dynamics.errors.length) {
+            warnings.push('Invalid moving walls or gates (' + dynamics.errors.join('; ') + '), skipping them.');
+        }
+        const bumperCheck = window.MarblePhysics.validateBumpers(levelObj);
+        bumpers = bumperCheck.bumpers;
+        bumperFlashes = bumpers.map(() => 0);
+        if (bumperCheck.errors.length) {
+            warnings.push('Invalid bumpers (' + bumperCheck.errors.join('; ') + '), skipping them.');
+        }
+        const fogCheck = window.MarblePhysics.validateFog(levelObj);
+        fog = fogCheck.fog;
+        resetFogMemory();
+        if (fogLayer) fogLayer.classList.toggle('d-none', !fog);
+        if (fogCheck.errors.length) {
+            warnings.push('Invalid fog (' + fogCheck.errors.join('; ') + '), using defaults instead.');
+        }
+        const teleporters = window.MarblePhysics.pairTeleporters(levelObj.grid);
+        if (teleporters.errors.length) {
+            warnings.push('Invalid teleporters (' + teleporters.errors.join('; ') + '), unpaired teleporters are ignored.');
+        }
+        collectTotal = window.MarblePhysics.countCollectibles(levelGrid);
+        collectRequired = 0;
+        collectedCount = 0;
+        goalBlocked = false;
+        if (levelObj.collect !== undefined) {
+            if (Number.isInteger(levelObj.collect) && levelObj.collect >= 0 && levelObj.collect <= collectTotal) {
+                collectRequired = levelObj.collect;
+            } else {
+                warnings.push(`Invalid level collect requirement, it must be a whole number between 0 and ${collectTotal}.`);
+            }
+        }
+        updateCollectHud();
+        const lockedForever = findUnopenableDoors(levelObj.grid);
+        if (lockedForever.length) warnings.push('Level has doors without a key: ' + lockedForever.join(', ') + '.');
+        if (marblePairs.errors.length) {
+            warnings.push('Unmatched start and goal cells (' + marblePairs.errors.join('; ') + '), leaving them out.');
+        }
+        if (!levelObj.grid.some(row => row.includes('S'))) warnings.push('Level is missing a start cell (S).');
+        if (!levelObj.grid.some(row => row.includes('G'))) warnings.push('Level is missing a goal cell (G).');
+        if (levelObj.theme !== undefined && !window.LevelRenderer.isTheme(levelObj.theme)) {
+            warnings.push(`Unknown level theme "${levelObj.theme}", ignoring it.`);
+        }
+        if (warnings.length) showMessage(warnings, 'warning');
+        activateTheme();
+        if (minimap) minimap.setGrid(levelGrid, marbles.map(marble => marble.goal), !!fog);
+        drawGrid(levelGrid);
+        placeMarblesAtStart();
+        snapCamera();
         startLoop();
     }
 
@@ -1054,9 +2489,11 @@
     window.addEventListener('resize', () => {
         if (!currentLevel) return;
         clearTimeout(resizeTimer);
-        resizeTimer = setTimeout(() => drawGrid(currentLevel.grid), 150);
+        resizeTimer = setTimeout(() => drawGrid(levelGrid), 150);
     });
 
+    attachZoomGestures(canvas.parentElement);
+
     window.addEventListener('orientationchange', handleLandscapeState);
     const mql = window.matchMedia('(orientation: landscape)');
     if (mql) {
@@ -1072,6 +2509,24 @@
         orientationDenied: onOrientationPermissionDenied,
     });
 
+    window.GamepadInput.attach({
+        onTilt: (x, y) => {
+            gamepadState.tilt.x = x;
+            gamepadState.tilt.y = y;
+        },
+        onActivity: () => noteInputActivity('gamepad'),
+        onPause: handleGamepadPause,
+        onRestart: handleGamepadRestart
+    });
+
+    const pauseBtn = document.getElementById('pauseButton');
+    if (pauseBtn) pauseBtn.addEventListener('click', () => showPauseMenu());
+    window.addEventListener('keydown', (ev) => {
+        if (ev.key === 'Escape') togglePauseMenu();
+    });
+    updateCalibrationHints();
+    if (!useFallbackInput) updateDebugReadout();
+
     const permOverlay = document.getElementById('permissionOverlay');
     const permBtn = document.getElementById('permissionButton');
 
@@ -1080,6 +2535,10 @@
 
     function requestMotionPermission(evt) {
         if (evt) evt.preventDefault();
+        // Motion events need their own permission; a refusal only removes the motion source
+        if (window.DeviceMotionEvent && typeof DeviceMotionEvent.requestPermission === 'function') {
+            DeviceMotionEvent.requestPermission().catch(() => {});
+        }
         if (!window.DeviceOrientationEvent || typeof DeviceOrientationEvent.requestPermission !== 'function') {
             hidePermOverlay();
             return;
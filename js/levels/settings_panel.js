@@ -0,0 +1,210 @@
+/**
+ * Immediately Invoked Function Expression to encapsulate the SettingsPanel module.
+ * Builds a modal settings dialog from a declarative list of sections and fields.
+ * Changes are reported immediately so they can be applied and saved while the panel is open.
+ */
+(function () {
+    /**
+     * ID of the settings overlay element.
+     * @type {string}
+     */
+    const OVERLAY_ID = 'settingsPanelOverlay';
+
+    /**
+     * Callback run when the open panel is closed.
+     * @type {function(): void|null}
+     */
+    let closeCallback = null;
+
+    /**
+     * Creates the form control for a single field.
+     * @param {Object} field - The field description ({ key, label, type: 'range'|'select'|'checkbox', min, max, step, options, format }).
+     * @param {*} value - The current value.
+     * @param {function(*): void} onInput - Called with the new value whenever the control changes.
+     * @returns {HTMLElement} The wrapper element containing label and control.
+     */
+    function createField(field, value, onInput) {
+        const id = 'setting-' + field.key;
+        const wrap = document.createElement('div');
+        wrap.className = 'mb-3 text-start';
+
+        if (field.type === 'checkbox') {
+            wrap.className = 'form-check mb-3 text-start';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.className = 'form-check-input';
+            input.id = id;
+            input.checked = !!value;
+            input.addEventListener('change', () => onInput(input.checked));
+            const label = document.createElement('label');
+            label.className = 'form-check-label';
+            label.htmlFor = id;
+            label.textContent = field.label;
+            wrap.appendChild(input);
+            wrap.appendChild(label);
+            return wrap;
+        }
+
+        const label = document.createElement('label');
+        label.className = 'form-label d-flex justify-content-between gap-2 mb-1';
+        label.htmlFor = id;
+        const labelText = document.createElement('span');
+        labelText.textContent = field.label;
+        label.appendChild(labelText);
+        wrap.appendChild(label);
+
+        if (field.type === 'select') {
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm';
+            select.id = id;
+            field.options.forEach(opt => {
+                const option = document.createElement('option');
+                option.value = opt.value;
+                option.textContent = opt.label;
+                select.appendChild(option);
+            });
+            select.value = value;
+            select.addEventListener('change', () => onInput(select.value));
+            wrap.appendChild(select);
+            return wrap;
+        }
+
+        const valueText = document.createElement('span');
+        valueText.className = 'text-muted';
+        const format = field.format || (v => String(v));
+        valueText.textContent = format(value);
+        label.appendChild(valueText);
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.className = 'form-range';
+        input.id = id;
+        input.min = field.min;
+        input.max = field.max;
+        input.step = field.step || 1;
+        input.value = value;
+        input.addEventListener('input', () => {
+            const num = Number(input.value);
+            valueText.textContent = format(num);
+            onInput(num);
+        });
+        wrap.appendChild(input);
+        return wrap;
+    }
+
+    /**
+     * Builds the content of a section.
+     * @param {HTMLElement} container - The element to fill.
+     * @param {Object} section - The section description.
+     */
+    function renderSection(container, section) {
+        container.innerHTML = '';
+        const heading = document.createElement('h6');
+        heading.className = 'text-start text-uppercase text-muted small mb-2';
+        heading.textContent = section.title;
+        container.appendChild(heading);
+
+        const values = Object.assign({}, section.values);
+        section.fields.forEach(field => {
+            container.appendChild(createField(field, values[field.key], (val) => {
+                values[field.key] = val;
+                section.onChange(Object.assign({}, values));
+            }));
+        });
+
+        if (section.defaults) {
+            const resetBtn = document.createElement('button');
+            resetBtn.type = 'button';
+            resetBtn.className = 'btn btn-sm btn-link px-0';
+            resetBtn.textContent = 'reset to defaults';
+            resetBtn.addEventListener('click', () => {
+                section.values = Object.assign({}, section.defaults);
+                section.onChange(Object.assign({}, section.defaults));
+                renderSection(container, section);
+            });
+            container.appendChild(resetBtn);
+        }
+    }
+
+    /**
+     * Opens the settings panel.
+     * @param {Object} config - Panel configuration.
+     * @param {string} [config.title='Settings'] - The dialog title.
+     * @param {Array<Object>} config.sections - Sections ({ title, fields, values, defaults, onChange(values) }).
+     * @param {function(): void} [config.onClose] - Called when the panel is closed.
+     */
+    function open(config) {
+        close();
+        closeCallback = config.onClose || null;
+
+        const overlayEl = document.createElement('div');
+        overlayEl.id = OVERLAY_ID;
+        overlayEl.setAttribute('role', 'dialog');
+        overlayEl.setAttribute('aria-modal', 'true');
+        overlayEl.setAttribute('aria-label', config.title || 'Settings');
+        overlayEl.style.position = 'fixed';
+        overlayEl.style.inset = '0';
+        overlayEl.style.display = 'flex';
+        overlayEl.style.alignItems = 'center';
+        overlayEl.style.justifyContent = 'center';
+        overlayEl.style.background = 'rgba(0,0,0,0.45)';
+        overlayEl.style.zIndex = '1070';
+
+        const card = document.createElement('div');
+        card.className = 'card p-3';
+        card.style.minWidth = '280px';
+        card.style.maxWidth = '90%';
+        card.style.maxHeight = '90vh';
+        card.style.overflowY = 'auto';
+
+        const body = document.createElement('div');
+        body.className = 'card-body';
+
+        const title = document.createElement('h5');
+        title.className = 'card-title mb-3 text-center';
+        title.textContent = config.title || 'Settings';
+        body.appendChild(title);
+
+        config.sections.forEach(section => {
+            const sectionEl = document.createElement('section');
+            sectionEl.className = 'mb-3';
+            renderSection(sectionEl, section);
+            body.appendChild(sectionEl);
+        });
+
+        const doneBtn = document.createElement('button');
+        doneBtn.type = 'button';
+        doneBtn.className = 'btn btn-primary w-100';
+        doneBtn.textContent = 'done';
+        doneBtn.addEventListener('click', () => close());
+        body.appendChild(doneBtn);
+
+        card.appendChild(body);
+        overlayEl.appendChild(card);
+        document.body.appendChild(overlayEl);
+        doneBtn.focus();
+    }
+
+    /**
+     * Closes the settings panel if it is open.
+     */
+    function close() {
+        const el = document.getElementById(OVERLAY_ID);
+        if (!el) return;
+        el.remove();
+        const cb = closeCallback;
+        closeCallback = null;
+        if (cb) cb();
+    }
+
+    /**
+     * Checks if the settings panel is currently open.
+     * @returns {boolean} True if the panel is open, false otherwise.
+     */
+    function isOpen() {
+        return !!document.getElementById(OVERLAY_ID);
+    }
+
+    // Expose the panel functions on the global SettingsPanel object
+    window.SettingsPanel = Object.assign(window.SettingsPanel || {}, { open, close, isOpen });
+})();
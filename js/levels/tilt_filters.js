@@ -0,0 +1,175 @@
+/**
+ * Immediately Invoked Function Expression to encapsulate the TiltFilters module.
+ * Smoothing filters for noisy orientation input (low-pass, moving average and 1€ filter)
+ * and storage of the player's filter settings.
+ */
+(function () {
+    /**
+     * Key used to store the filter settings in localStorage.
+     * @type {string}
+     */
+    const SETTINGS_STORAGE_KEY = 'tiltFilter';
+
+    /**
+     * Sample interval (in seconds) assumed when samples carry no usable timestamp.
+     * @type {number}
+     */
+    const FALLBACK_DT = 1 / 60;
+
+    /**
+     * Default filter settings.
+     * type: key of FACTORIES; cutoff: low-pass cutoff in Hz; window: moving average size in samples;
+     * minCutoff/beta: 1€ filter parameters; debug: show the raw vs. filtered readout.
+     * @type {Object}
+     */
+    const DEFAULT_SETTINGS = { type: 'none', cutoff: 5, window: 5, minCutoff: 1, beta: 0.05, debug: false };
+
+    /**
+     * Allowed ranges for the numeric filter settings.
+     * @type {Object<string, {min: number, max: number}>}
+     */
+    const SETTINGS_LIMITS = {
+        cutoff: { min: 0.5, max: 20 },
+        window: { min: 2, max: 20 },
+        minCutoff: { min: 0.1, max: 5 },
+        beta: { min: 0, max: 1 }
+    };
+
+    /**
+     * Computes the smoothing factor of an exponential low-pass filter.
+     * @param {number} cutoff - The cutoff frequency in Hz.
+     * @param {number} dt - The sample interval in seconds.
+     * @returns {number} The smoothing factor in (0, 1].
+     */
+    function smoothingFactor(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    /**
+     * Factories for scalar filters. Each returns a function (value, dt) => filtered value.
+     * @type {Object<string, function(Object): function(number, number): number>}
+     */
+    const FACTORIES = {
+        none: () => value => value,
+        lowpass: (settings) => {
+            let prev = null;
+            return (value, dt) => {
+                prev = prev === null ? value : prev + smoothingFactor(settings.cutoff, dt) * (value - prev);
+                return prev;
+            };
+        },
+        movingAverage: (settings) => {
+            const samples = [];
+            let sum = 0;
+            return (value) => {
+                samples.push(value);
+                sum += value;
+                if (samples.length > settings.window) sum -= samples.shift();
+                return sum / samples.length;
+            };
+        },
+        oneEuro: (settings) => {
+            const dCutoff = 1;
+            let prev = null;
+            let prevDeriv = 0;
+            return (value, dt) => {
+                if (prev === null) {
+                    prev = value;
+                    return value;
+                }
+                const deriv = (value - prev) / dt;
+                prevDeriv += smoothingFactor(dCutoff, dt) * (deriv - prevDeriv);
+                const cutoff = settings.minCutoff + settings.beta * Math.abs(prevDeriv);
+                prev += smoothingFactor(cutoff, dt) * (value - prev);
+                return prev;
+            };
+        }
+    };
+
+    /**
+     * Creates a filter for 2D samples ({ x, y }), filtering each axis independently.
+     * @param {Object} settings - The filter settings.
+     * @returns {Object} The filter ({ apply(sample, timestampMs), reset() }).
+     */
+    function create(settings) {
+        const opts = sanitizeSettings(settings);
+        const factory = FACTORIES[opts.type] || FACTORIES.none;
+        let fx = factory(opts);
+        let fy = factory(opts);
+        let lastTime = null;
+        return {
+            /**
+             * Filters a sample.
+             * @param {Object} sample - The sample ({ x, y }).
+             * @param {number} [timestampMs] - The sample timestamp in milliseconds.
+             * @returns {Object} The filtered sample ({ x, y }).
+             */
+            apply(sample, timestampMs) {
+                let dt = FALLBACK_DT;
+                if (Number.isFinite(timestampMs)) {
+                    if (lastTime !== null && timestampMs > lastTime) dt = (timestampMs - lastTime) / 1000;
+                    lastTime = timestampMs;
+                }
+                return { x: fx(sample.x, dt), y: fy(sample.y, dt) };
+            },
+            /**
+             * Forgets all previous samples.
+             */
+            reset() {
+                fx = factory(opts);
+                fy = factory(opts);
+                lastTime = null;
+            }
+        };
+    }
+
+    /**
+     * Validates filter settings, replacing missing or invalid values with defaults.
+     * @param {Object} settings - The settings to validate.
+     * @returns {Object} A complete, valid settings object.
+     */
+    function sanitizeSettings(settings) {
+        const result = Object.assign({}, DEFAULT_SETTINGS);
+        if (!settings || typeof settings !== 'object') return result;
+        Object.keys(SETTINGS_LIMITS).forEach(key => {
+            const num = Number(settings[key]);
+            if (Number.isFinite(num)) result[key] = Math.min(SETTINGS_LIMITS[key].max, Math.max(SETTINGS_LIMITS[key].min, num));
+        });
+        result.window = Math.round(result.window);
+        if (FACTORIES[settings.type]) result.type = settings.type;
+        result.debug = !!settings.debug;
+        return result;
+    }
+
+    /**
+     * Loads the filter settings from localStorage.
+     * @returns {Object} The filter settings, with defaults for anything not stored.
+     */
+    function loadSettings() {
+        try {
+            const raw = localStorage.getItem(SETTINGS_STORAGE_KEY);
+            return sanitizeSettings(raw ? JSON.parse(raw) : null);
+        } catch (_) {
+            return sanitizeSettings(null);
+        }
+    }
+
+    /**
+     * Persists the filter settings to localStorage.
+     * @param {Object} settings - The filter settings.
+     */
+    function saveSettings(settings) {
+        try { localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(sanitizeSettings(settings))); } catch (_) {}
+    }
+
+    // Expose the functions on the global TiltFilters object
+    window.TiltFilters = Object.assign(window.TiltFilters || {}, {
+        DEFAULT_SETTINGS,
+        SETTINGS_LIMITS,
+        create,
+        sanitizeSettings,
+        loadSettings,
+        saveSettings
+    });
+})();
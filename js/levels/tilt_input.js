@@ -0,0 +1,305 @@
+/**
+ * Immediately Invoked Function Expression to encapsulate the TiltInput module.
+ * Maps device orientation or motion (gravity) readings to a normalized tilt vector,
+ * picks the healthier of the two sources and stores the player's neutral (calibrated)
+ * orientation and tilt settings.
+ */
+(function () {
+    /**
+     * Key used to store the calibrated neutral tilt in localStorage.
+     * @type {string}
+     */
+    const CALIBRATION_STORAGE_KEY = 'tiltCalibration';
+
+    /**
+     * Key used to store the player's tilt settings in localStorage.
+     * @type {string}
+     */
+    const SETTINGS_STORAGE_KEY = 'tiltSettings';
+
+    /**
+     * Supported response curves, mapping a normalized tilt magnitude in [0, 1] to an output in [0, 1].
+     * @type {Object<string, function(number): number>}
+     */
+    const CURVES = {
+        linear: v => v,
+        quadratic: v => v * v,
+        exponential: v => (Math.exp(3 * v) - 1) / (Math.exp(3) - 1)
+    };
+
+    /**
+     * Supported input sources: 'auto' picks the healthier of the orientation and motion events.
+     * @type {Array<string>}
+     */
+    const SOURCES = ['auto', 'orientation', 'motion'];
+
+    /**
+     * Rate of valid events per second a source needs to count as healthy.
+     * @type {number}
+     */
+    const MIN_HEALTHY_RATE = 10;
+
+    /**
+     * Default tilt settings.
+     * sensitivity: multiplier applied to the output; deadZone: tilt in degrees that is ignored;
+     * maxTilt: tilt in degrees that equals full acceleration; curve: key of CURVES; source: one of SOURCES.
+     * @type {Object}
+     */
+    const DEFAULT_SETTINGS = { sensitivity: 1, deadZone: 0, maxTilt: 45, curve: 'linear', source: 'auto' };
+
+    /**
+     * Allowed ranges for the numeric tilt settings.
+     * @type {Object<string, {min: number, max: number}>}
+     */
+    const SETTINGS_LIMITS = {
+        sensitivity: { min: 0.25, max: 2 },
+        deadZone: { min: 0, max: 15 },
+        maxTilt: { min: 15, max: 80 }
+    };
+
+    /**
+     * Clamps a value between a minimum and maximum value.
+     * @param {number} val - The value to clamp.
+     * @param {number} min - The minimum value.
+     * @param {number} max - The maximum value.
+     * @returns {number} The clamped value.
+     */
+    function clamp(val, min, max) {
+        return Math.min(max, Math.max(min, val));
+    }
+
+    /**
+     * Gets the current screen rotation angle.
+     * @returns {number} The angle in degrees (0, 90, 180, 270 or -90).
+     */
+    function screenAngle() {
+        return (window.screen && window.screen.orientation && window.screen.orientation.angle) || window.orientation || 0;
+    }
+
+    /**
+     * Rotates device beta/gamma angles into screen space, so x points right and y points down on screen.
+     * @param {number} beta - Front-back tilt in degrees.
+     * @param {number} gamma - Left-right tilt in degrees.
+     * @param {number} angle - The screen rotation angle.
+     * @returns {Object} The screen tilt in degrees ({ x, y }).
+     */
+    function screenTilt(beta, gamma, angle) {
+        switch (angle) {
+            case 90: return { x: beta, y: -gamma };
+            case -90:
+            case 270: return { x: -beta, y: gamma };
+            case 180: return { x: -gamma, y: -beta };
+            default: return { x: gamma, y: beta };
+        }
+    }
+
+    /**
+     * Detects Apple devices, which report accelerationIncludingGravity with inverted signs.
+     * @returns {boolean} True on iOS/iPadOS, false otherwise.
+     */
+    function invertsMotionAxes() {
+        const ua = navigator.userAgent || '';
+        return /iPad|iPhone|iPod/.test(ua) || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+    }
+
+    /**
+     * Converts a devicemotion gravity reading into the beta/gamma angles deviceorientation would report,
+     * so both sources can share the screen rotation, calibration and mapping.
+     * @param {Object|null} accel - The accelerationIncludingGravity reading ({ x, y, z }) in m/s^2.
+     * @param {boolean} [invert=invertsMotionAxes()] - Whether the platform reports inverted axes.
+     * @returns {Object|null} The device angles in degrees ({ beta, gamma }), or null if the reading is unusable.
+     */
+    function motionToDeviceAngles(accel, invert = invertsMotionAxes()) {
+        if (!accel || accel.x == null || accel.y == null || accel.z == null) return null;
+        const sign = invert ? -1 : 1;
+        const x = accel.x * sign;
+        const y = accel.y * sign;
+        const z = accel.z * sign;
+        const g = Math.hypot(x, y, z);
+        if (!(g > 1e-3)) return null;
+        const toDeg = 180 / Math.PI;
+        return {
+            beta: Math.atan2(y, z) * toDeg,
+            gamma: Math.asin(clamp(-x / g, -1, 1)) * toDeg
+        };
+    }
+
+    /**
+     * Creates a monitor that tracks how many valid events a source delivered recently.
+     * @param {number} [windowMs=1000] - Length of the observation window in milliseconds.
+     * @returns {Object} The monitor ({ record(valid, now), rate(now) }).
+     */
+    function createSourceMonitor(windowMs = 1000) {
+        const validTimes = [];
+        const prune = (now) => {
+            while (validTimes.length && now - validTimes[0] > windowMs) validTimes.shift();
+        };
+        return {
+            /**
+             * Records an event.
+             * @param {boolean} valid - Whether the event carried usable (non-null) values.
+             * @param {number} now - The current time in milliseconds.
+             */
+            record(valid, now) {
+                if (valid) validTimes.push(now);
+                prune(now);
+            },
+            /**
+             * Gets the rate of valid events.
+             * @param {number} now - The current time in milliseconds.
+             * @returns {number} Valid events per second within the window.
+             */
+            rate(now) {
+                prune(now);
+                return validTimes.length * 1000 / windowMs;
+            }
+        };
+    }
+
+    /**
+     * Picks the input source to use. An explicit choice always wins; in 'auto' mode the orientation
+     * source is preferred while healthy, otherwise the source with more valid events is used.
+     * @param {string} setting - One of SOURCES.
+     * @param {Object} monitors - Source monitors keyed by source ({ orientation, motion }).
+     * @param {number} now - The current time in milliseconds.
+     * @returns {string} 'orientation' or 'motion'.
+     */
+    function pickSource(setting, monitors, now) {
+        if (setting === 'orientation' || setting === 'motion') return setting;
+        const orientationRate = monitors.orientation.rate(now);
+        const motionRate = monitors.motion.rate(now);
+        if (orientationRate >= MIN_HEALTHY_RATE) return 'orientation';
+        if (motionRate >= MIN_HEALTHY_RATE) return 'motion';
+        return motionRate > orientationRate ? 'motion' : 'orientation';
+    }
+
+    /**
+     * Maps the tilt of a single axis to its output using the dead zone, max tilt and response curve.
+     * @param {number} deg - The tilt of the axis in degrees, relative to neutral.
+     * @param {Object} settings - The tilt settings.
+     * @returns {number} The output in [-sensitivity, sensitivity].
+     */
+    function mapAxis(deg, settings) {
+        const magnitude = Math.abs(deg) - settings.deadZone;
+        if (magnitude <= 0) return 0;
+        const range = Math.max(1, settings.maxTilt - settings.deadZone);
+        const curve = CURVES[settings.curve] || CURVES.linear;
+        return Math.sign(deg) * curve(clamp(magnitude / range, 0, 1)) * settings.sensitivity;
+    }
+
+    /**
+     * Converts a screen tilt to a normalized tilt vector relative to the calibrated neutral.
+     * @param {Object} tilt - The screen tilt in degrees ({ x, y }).
+     * @param {Object|null} calibration - The neutral screen tilt in degrees ({ x, y }), or null for flat.
+     * @param {Object} [settings=DEFAULT_SETTINGS] - The tilt settings.
+     * @returns {Object} The normalized tilt ({ x, y }), each component in [-1, 1] scaled by the sensitivity.
+     */
+    function normalizeTilt(tilt, calibration, settings = DEFAULT_SETTINGS) {
+        const cal = calibration || { x: 0, y: 0 };
+        return {
+            x: mapAxis(tilt.x - cal.x, settings),
+            y: mapAxis(tilt.y - cal.y, settings)
+        };
+    }
+
+    /**
+     * Validates tilt settings, replacing missing or invalid values with defaults.
+     * @param {Object} settings - The settings to validate.
+     * @returns {Object} A complete, valid settings object.
+     */
+    function sanitizeSettings(settings) {
+        const result = Object.assign({}, DEFAULT_SETTINGS);
+        if (!settings || typeof settings !== 'object') return result;
+        Object.keys(SETTINGS_LIMITS).forEach(key => {
+            const num = Number(settings[key]);
+            if (Number.isFinite(num)) result[key] = clamp(num, SETTINGS_LIMITS[key].min, SETTINGS_LIMITS[key].max);
+        });
+        if (CURVES[settings.curve]) result.curve = settings.curve;
+        if (SOURCES.includes(settings.source)) result.source = settings.source;
+        return result;
+    }
+
+    /**
+     * Loads the tilt settings from localStorage.
+     * @returns {Object} The tilt settings, with defaults for anything not stored.
+     */
+    function loadSettings() {
+        try {
+            const raw = localStorage.getItem(SETTINGS_STORAGE_KEY);
+            return sanitizeSettings(raw ? JSON.parse(raw) : null);
+        } catch (_) {
+            return sanitizeSettings(null);
+        }
+    }
+
+    /**
+     * Persists the tilt settings to localStorage.
+     * @param {Object} settings - The tilt settings.
+     */
+    function saveSettings(settings) {
+        try { localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(sanitizeSettings(settings))); } catch (_) {}
+    }
+
+    /**
+     * Loads the calibrated neutral orientation from localStorage. It is kept as the raw device angles, so it stays
+     * right when the screen rotates; older calibrations stored in screen space are dropped.
+     * @returns {Object|null} The neutral device angles in degrees ({ beta, gamma }), or null if not calibrated.
+     */
+    function loadCalibration() {
+        try {
+            const raw = localStorage.getItem(CALIBRATION_STORAGE_KEY);
+            if (!raw) return null;
+            const parsed = JSON.parse(raw);
+            if (!parsed || !Number.isFinite(parsed.beta) || !Number.isFinite(parsed.gamma)) return null;
+            return { beta: parsed.beta, gamma: parsed.gamma };
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Persists the calibrated neutral orientation to localStorage.
+     * @param {Object} calibration - The neutral device angles in degrees ({ beta, gamma }), before any screen rotation.
+     */
+    function saveCalibration(calibration) {
+        try { localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify({ beta: calibration.beta, gamma: calibration.gamma })); } catch (_) {}
+    }
+
+    /**
+     * Rotates a calibrated neutral orientation into screen space for the current screen rotation.
+     * @param {Object|null} calibration - The neutral device angles in degrees ({ beta, gamma }), or null for flat.
+     * @param {number} angle - The screen rotation angle.
+     * @returns {Object|null} The neutral screen tilt in degrees ({ x, y }), or null for flat.
+     */
+    function calibrationTilt(calibration, angle) {
+        return calibration ? screenTilt(calibration.beta, calibration.gamma, angle) : null;
+    }
+
+    /**
+     * Removes the calibrated neutral tilt, so a flat device is neutral again.
+     */
+    function clearCalibration() {
+        try { localStorage.removeItem(CALIBRATION_STORAGE_KEY); } catch (_) {}
+    }
+
+    // Expose the functions on the global TiltInput object
+    window.TiltInput = Object.assign(window.TiltInput || {}, {
+        CURVES,
+        SOURCES,
+        DEFAULT_SETTINGS,
+        SETTINGS_LIMITS,
+        screenAngle,
+        screenTilt,
+        motionToDeviceAngles,
+        createSourceMonitor,
+        pickSource,
+        normalizeTilt,
+        loadCalibration,
+        saveCalibration,
+        calibrationTilt,
+        clearCalibration,
+        sanitizeSettings,
+        loadSettings,
+        saveSettings
+    });
+})();
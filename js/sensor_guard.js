@@ -1,13 +1,21 @@
 /**
  * Immediately Invoked Function Expression to guard against unsupported devices.
+ * Devices without touch or orientation support are sent to the error page, which offers
+ * to continue with keyboard and mouse (or gamepad) controls instead. A device with a gamepad
+ * connected is not sent there at all.
  */
 (function () {
+  /**
+   * Key used to remember in localStorage that the player chose keyboard and mouse controls.
+   * @type {string}
+   */
+  const FALLBACK_STORAGE_KEY = 'inputFallback';
+
   /**
    * Checks if the current page is the error page.
    * @type {boolean}
    */
   const isErrorPage = /\/error\.html$/i.test(location.pathname);
-  if (isErrorPage) return;
 
   /**
    * Detects if the device supports touch input.
@@ -16,14 +24,96 @@
   const hasTouch = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0) || (navigator.msMaxTouchPoints > 0);
 
   /**
-   * Detects if the device supports orientation events.
+   * Detects if the device supports orientation or motion events.
+   * @type {boolean}
+   */
+  const hasOrientation = (typeof DeviceOrientationEvent !== 'undefined') || (typeof DeviceMotionEvent !== 'undefined');
+
+  /**
+   * Whether the device has the sensors the game is designed for.
    * @type {boolean}
    */
-  const hasOrientation = (typeof DeviceOrientationEvent !== 'undefined');
+  const sensorsSupported = hasTouch && hasOrientation;
+
+  /**
+   * Checks if the player opted into keyboard and mouse controls.
+   * @returns {boolean} True if the fallback controls were chosen, false otherwise.
+   */
+  function fallbackChosen() {
+    try {
+      return localStorage.getItem(FALLBACK_STORAGE_KEY) === 'keyboard';
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Checks if the browser reports a connected gamepad. Browsers only report one after a button was pressed on it.
+   * @returns {boolean} True if a gamepad is connected, false otherwise.
+   */
+  function gamepadConnected() {
+    try {
+      return !!navigator.getGamepads && Array.from(navigator.getGamepads() || []).some(Boolean);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Remembers that the player chose the fallback controls and returns to the page they were redirected from.
+   * Gamepads are read alongside the keyboard and mouse, so they share the same choice.
+   */
+  function continueWithFallback() {
+    try { localStorage.setItem(FALLBACK_STORAGE_KEY, 'keyboard'); } catch (_) {}
+    let target = new URL('/index.html', location.href);
+    const from = new URLSearchParams(location.search).get('from');
+    if (from) {
+      try {
+        const fromUrl = new URL(from, location.href);
+        // Only return to pages of this site
+        if (fromUrl.origin === location.origin) target = fromUrl;
+      } catch (_) {}
+    }
+    location.replace(target.href);
+  }
+
+  /**
+   * Wires the error page: the "play with keyboard" button and pressing a button on a gamepad both continue with the
+   * fallback controls.
+   */
+  function bindFallbackButton() {
+    const btn = document.getElementById('keyboardFallbackButton');
+    if (btn) btn.addEventListener('click', continueWithFallback);
+    const hint = document.getElementById('gamepadFallbackHint');
+    if (!navigator.getGamepads) {
+      if (hint) hint.classList.add('d-none');
+      return;
+    }
+    if (gamepadConnected()) {
+      continueWithFallback();
+      return;
+    }
+    window.addEventListener('gamepadconnected', continueWithFallback, { once: true });
+  }
+
+  /**
+   * Public guard state, read by the game to decide which input source to use.
+   * @type {{sensorsSupported: boolean, useFallbackInput: boolean}}
+   */
+  window.SensorGuard = {
+    sensorsSupported,
+    useFallbackInput: !sensorsSupported && (fallbackChosen() || gamepadConnected())
+  };
+
+  if (isErrorPage) {
+    document.addEventListener('DOMContentLoaded', bindFallbackButton);
+    return;
+  }
 
-  // Redirect to the error page if the device lacks touch or orientation support
-  if (!hasTouch || !hasOrientation) {
+  // Redirect to the error page if the device lacks touch or orientation support, no fallback was chosen and no gamepad is connected
+  if (!sensorsSupported && !window.SensorGuard.useFallbackInput) {
     const errorUrl = new URL('/error.html', location.href);
+    errorUrl.searchParams.set('from', location.href);
     // Use replace to avoid back-navigation loop
     location.replace(errorUrl.href);
   }
@@ -0,0 +1,608 @@
+/**
+ * Tests of the marble physics: collisions with walls, obstacles, bumpers and other marbles, the fixed step and its
+ * tiles, the step accumulator, level validation and the run state of keys, switches and collectibles.
+ * Run with `npm test` (uses the built-in Node test runner).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MarblePhysics = require('../js/levels/marble_physics.js');
+
+const CELL = 10;
+const OPEN_GRID = ['.....', '.....', '.....', '.....', '.....'];
+
+/**
+ * Creates a world on an open grid with the given solid obstacles.
+ * @param {Array<Object>} obstacles - Obstacle rectangles in cells ({ x, y, w, h, vx, vy }).
+ * @param {Object} [params] - Overrides for the physics parameters.
+ * @returns {Object} The world.
+ */
+function openWorld(obstacles, params) {
+    const world = MarblePhysics.createWorld(OPEN_GRID, CELL, params);
+    world.obstacles = obstacles.map(o => Object.assign({ vx: 0, vy: 0, solid: true }, o));
+    return world;
+}
+
+test('resolveCircleCollisions leaves a ball in open space where it is', () => {
+    const world = openWorld([]);
+    const ball = MarblePhysics.createBall(25, 25, 3);
+    assert.deepEqual(MarblePhysics.resolveCircleCollisions(world, ball, 26, 25), { x: 26, y: 25, crushed: false });
+});
+
+test('resolveCircleCollisions pushes a ball out of an obstacle and stops it against it', () => {
+    const world = openWorld([{ x: 3, y: 0, w: 1, h: 5 }]);
+    const ball = MarblePhysics.createBall(25, 25, 3);
+    ball.vel.x = 5;
+    const pos = MarblePhysics.resolveCircleCollisions(world, ball, 28.5, 25);
+    assert.ok(pos.x <= 30 - 3, `ball centre ${pos.x} overlaps the obstacle`);
+    assert.equal(pos.y, 25);
+    assert.equal(ball.vel.x, 0);
+});
+
+test('resolveCircleCollisions bounces a fast ball when the level has restitution', () => {
+    const world = openWorld([{ x: 3, y: 0, w: 1, h: 5 }], { restitution: 0.5 });
+    const ball = MarblePhysics.createBall(25, 25, 3);
+    ball.vel.x = 100;
+    MarblePhysics.resolveCircleCollisions(world, ball, 28.5, 25);
+    assert.ok(Math.abs(ball.vel.x + 50) < 1e-9, `expected -50, got ${ball.vel.x}`);
+});
+
+test('resolveCircleCollisions lets a slow ball settle instead of bouncing', () => {
+    const world = openWorld([{ x: 3, y: 0, w: 1, h: 5 }], { restitution: 0.5 });
+    const ball = MarblePhysics.createBall(25, 25, 3);
+    ball.vel.x = 1; // below bounceThreshold (2 cells per second)
+    MarblePhysics.resolveCircleCollisions(world, ball, 28.5, 25);
+    assert.equal(ball.vel.x, 0);
+});
+
+test('resolveCircleCollisions carries a ball along with a moving obstacle', () => {
+    const world = openWorld([{ x: 1, y: 0, w: 1, h: 5, vx: 2 }]);
+    const ball = MarblePhysics.createBall(21, 25, 3);
+    const pos = MarblePhysics.resolveCircleCollisions(world, ball, 21, 25);
+    assert.ok(pos.x >= 20 + 3, `ball centre ${pos.x} overlaps the obstacle`);
+    assert.equal(ball.vel.x, 2 * CELL);
+});
+
+test('resolveCircleCollisions ignores obstacles that are not solid', () => {
+    const world = openWorld([{ x: 3, y: 0, w: 1, h: 5, solid: false }]);
+    const ball = MarblePhysics.createBall(25, 25, 3);
+    assert.deepEqual(MarblePhysics.resolveCircleCollisions(world, ball, 31, 25), { x: 31, y: 25, crushed: false });
+});
+
+test('resolveCircleCollisions keeps a ball out of wall cells', () => {
+    const world = MarblePhysics.createWorld(['###', '#.#', '###'], CELL);
+    const ball = MarblePhysics.createBall(15, 15, 3);
+    const pos = MarblePhysics.resolveCircleCollisions(world, ball, 18, 12);
+    assert.ok(Math.abs(pos.x - 17) < 0.1 && Math.abs(pos.y - 13) < 0.1, `got ${pos.x}, ${pos.y}`);
+});
+
+test('resolveCircleCollisions reports a ball squeezed between a moving obstacle and a wall as crushed', () => {
+    const world = MarblePhysics.createWorld(['.....', '....#', '.....'], CELL);
+    world.obstacles = [{ x: 2.8, y: 1, w: 1, h: 1, vx: 1, vy: 0, solid: true }];
+    const ball = MarblePhysics.createBall(39, 15, 3);
+    assert.equal(MarblePhysics.resolveCircleCollisions(world, ball, 39, 15).crushed, true);
+});
+
+test('resolveCircleCollisions does not report a ball pushed into a free corner as crushed', () => {
+    const world = MarblePhysics.createWorld(['###', '#.#', '###'], CELL);
+    const ball = MarblePhysics.createBall(15, 15, 3);
+    assert.equal(MarblePhysics.resolveCircleCollisions(world, ball, 19, 11).crushed, false);
+});
+
+test('step stops a crushed ball and flags it', () => {
+    const world = MarblePhysics.createWorld(['.....', '....#', '.....'], CELL);
+    world.obstacles = [{ x: 2.8, y: 1, w: 1, h: 1, vx: 1, vy: 0, solid: true }];
+    const ball = MarblePhysics.step(world, MarblePhysics.createBall(39, 15, 3), { ax: 0, ay: 0 }, MarblePhysics.FIXED_DT);
+    assert.equal(ball.crushed, true);
+});
+
+test('step gives the same result for the same input', () => {
+    const grid = ['#######', '#S.~:.#', '#.#.>.#', '#..%..#', '#######'];
+    const run = () => {
+        const world = MarblePhysics.createWorld(grid, CELL, { restitution: 0.4 });
+        world.obstacles = [{ x: 3, y: 3, w: 1, h: 0.5, vx: 0.5, vy: 0, solid: true }];
+        let ball = MarblePhysics.createBall(15, 15, 3);
+        const trace = [];
+        for (let i = 0; i < 600; i++) {
+            const accel = { ax: Math.cos(i / 40) * 400, ay: Math.sin(i / 25) * 400 };
+            ball = MarblePhysics.step(world, ball, accel, MarblePhysics.FIXED_DT);
+            trace.push(ball.pos.x, ball.pos.y, ball.vel.x, ball.vel.y);
+        }
+        return trace;
+    };
+    assert.deepEqual(run(), run());
+});
+
+test('step leaves the given ball untouched', () => {
+    const world = MarblePhysics.createWorld(OPEN_GRID, CELL);
+    const ball = MarblePhysics.createBall(25, 25, 3);
+    MarblePhysics.step(world, ball, { ax: 500, ay: 0 }, MarblePhysics.FIXED_DT);
+    assert.deepEqual(ball, MarblePhysics.createBall(25, 25, 3));
+});
+
+test('createAccumulator runs fixed 1/120 s steps', () => {
+    const accumulator = MarblePhysics.createAccumulator();
+    const steps = [];
+    assert.equal(accumulator.fixedDt, 1 / 120);
+    assert.equal(accumulator.advance(1 / 60, dt => { steps.push(dt); }), 2);
+    assert.deepEqual(steps, [1 / 120, 1 / 120]);
+});
+
+test('createAccumulator carries leftover time into the next frame', () => {
+    const accumulator = MarblePhysics.createAccumulator();
+    const noop = () => {};
+    assert.equal(accumulator.advance(0.005, noop), 0);
+    assert.equal(accumulator.advance(0.005, noop), 1);
+});
+
+test('createAccumulator runs at most 8 steps per frame and drops the rest', () => {
+    const accumulator = MarblePhysics.createAccumulator();
+    const noop = () => {};
+    assert.equal(accumulator.advance(1, noop), 8);
+    assert.equal(accumulator.advance(0, noop), 1);
+    assert.equal(accumulator.advance(0, noop), 0);
+});
+
+test('createAccumulator stops early and drops the time when a step returns false', () => {
+    const accumulator = MarblePhysics.createAccumulator();
+    assert.equal(accumulator.advance(0.05, () => false), 1);
+    assert.equal(accumulator.advance(0, () => {}), 0);
+});
+
+test('createAccumulator reset discards pending time', () => {
+    const accumulator = MarblePhysics.createAccumulator();
+    accumulator.advance(0.005, () => {});
+    accumulator.reset();
+    assert.equal(accumulator.advance(0.005, () => {}), 0);
+});
+
+test('pairStartsAndGoals pairs in reading order and reports cells left over', () => {
+    const result = MarblePhysics.pairStartsAndGoals(['#S.G#', '#G.S#', '#.S.#']);
+    assert.deepEqual(result.pairs, [
+        { start: { r: 0, c: 1 }, goal: { r: 0, c: 3 } },
+        { start: { r: 1, c: 3 }, goal: { r: 1, c: 1 } }
+    ]);
+    assert.deepEqual(result.errors, ['start cell [2, 2] has no goal']);
+});
+
+test('pairStartsAndGoals follows the pairs named by the level', () => {
+    const grid = ['#S.G#', '#G.S#'];
+    const result = MarblePhysics.pairStartsAndGoals(grid, [{ start: [1, 0], goal: [1, 1] }, { start: [3, 1], goal: [3, 0] }]);
+    assert.deepEqual(result.pairs, [
+        { start: { r: 0, c: 1 }, goal: { r: 1, c: 1 } },
+        { start: { r: 1, c: 3 }, goal: { r: 0, c: 3 } }
+    ]);
+    assert.deepEqual(result.errors, []);
+});
+
+test('pairStartsAndGoals rejects invalid named pairs and reports goals without a start', () => {
+    const grid = ['#S.G#', '#G.S#'];
+    const result = MarblePhysics.pairStartsAndGoals(grid, [{ start: [1, 0], goal: [3, 0] }, { start: [1, 0], goal: [1, 1] }, { start: [2, 0], goal: [1, 1] }]);
+    assert.deepEqual(result.pairs, [{ start: { r: 0, c: 1 }, goal: { r: 0, c: 3 } }]);
+    assert.deepEqual(result.errors, [
+        'pairs[1].start must be a start cell not used by another pair',
+        'pairs[2].start must be a start cell not used by another pair',
+        'start cell [3, 1] has no goal',
+        'goal cell [1, 1] has no start'
+    ]);
+});
+
+test('validateLevelParams accepts overrides within their limits', () => {
+    const result = MarblePhysics.validateLevelParams({ friction: 0.5, maxSpeed: 12, restitution: 1 });
+    assert.deepEqual(result, { params: { friction: 0.5, maxSpeed: 12, restitution: 1 }, errors: [] });
+});
+
+test('validateLevelParams returns no overrides for a level without physics', () => {
+    assert.deepEqual(MarblePhysics.validateLevelParams(undefined), { params: {}, errors: [] });
+});
+
+test('validateLevelParams leaves out unknown keys and values outside their limits', () => {
+    const result = MarblePhysics.validateLevelParams({ friction: 2, gravity: 9.8, maxSpeed: 0, restitution: '0.5', accelScale: NaN });
+    assert.deepEqual(result.params, { friction: 2 });
+    assert.deepEqual(result.errors, [
+        'unknown physics parameter "gravity"',
+        'physics.maxSpeed must be a number between 1 and 100',
+        'physics.restitution must be a number between 0 and 1',
+        'physics.accelScale must be a number between 0 and 5000'
+    ]);
+});
+
+test('validateLevelParams rejects physics that is not an object', () => {
+    assert.deepEqual(MarblePhysics.validateLevelParams([1, 2]), { params: {}, errors: ['physics must be an object'] });
+    assert.deepEqual(MarblePhysics.validateLevelParams(3), { params: {}, errors: ['physics must be an object'] });
+});
+
+/**
+ * Creates a 5 x 5 world covered by one kind of tile.
+ * @param {string} ch - The grid character of every cell.
+ * @returns {Object} The world.
+ */
+function tiledWorld(ch) {
+    return MarblePhysics.createWorld(OPEN_GRID.map(row => ch.repeat(row.length)), CELL);
+}
+
+test('step uses the friction of the surface under the ball', () => {
+    const rolling = MarblePhysics.createBall(25, 25, 3);
+    rolling.vel.x = 20;
+    const dt = MarblePhysics.FIXED_DT;
+    const onFloor = MarblePhysics.step(tiledWorld('.'), rolling, null, dt);
+    const onIce = MarblePhysics.step(tiledWorld('~'), rolling, null, dt);
+    assert.ok(Math.abs(onFloor.vel.x - 20 * Math.exp(-MarblePhysics.DEFAULTS.friction * dt)) < 1e-9);
+    assert.ok(Math.abs(onIce.vel.x - 20 * Math.exp(-MarblePhysics.SURFACES['~'].friction * dt)) < 1e-9);
+    assert.ok(onIce.vel.x > onFloor.vel.x);
+});
+
+test('step caps the speed on sand', () => {
+    const ball = MarblePhysics.createBall(25, 25, 3);
+    ball.vel.x = 200;
+    const next = MarblePhysics.step(tiledWorld(':'), ball, null, MarblePhysics.FIXED_DT);
+    assert.ok(Math.abs(next.vel.x - MarblePhysics.SURFACES[':'].maxSpeed * CELL) < 1e-9, `got ${next.vel.x}`);
+});
+
+test('step caps the acceleration in mud', () => {
+    const world = tiledWorld('%');
+    const dt = MarblePhysics.FIXED_DT;
+    const next = MarblePhysics.step(world, MarblePhysics.createBall(25, 25, 3), { ax: 5000, ay: 0 }, dt);
+    const maxAccel = MarblePhysics.SURFACES['%'].maxAccel * world.params.accelScale;
+    const expected = maxAccel * dt * Math.exp(-MarblePhysics.SURFACES['%'].friction * dt);
+    assert.ok(Math.abs(next.vel.x - expected) < 1e-9, `expected ${expected}, got ${next.vel.x}`);
+});
+
+test('boosterAcceleration pushes once per direction however many booster tiles the ball touches', () => {
+    const world = MarblePhysics.createWorld(['.>>..', '.....', '..^..'], CELL);
+    const strength = world.params.boosterAccel * world.params.accelScale;
+    assert.deepEqual(MarblePhysics.boosterAcceleration(world, MarblePhysics.createBall(20, 5, 3)), { ax: strength, ay: 0 });
+    assert.deepEqual(MarblePhysics.boosterAcceleration(world, MarblePhysics.createBall(25, 19, 3)), { ax: 0, ay: -strength });
+    assert.deepEqual(MarblePhysics.boosterAcceleration(world, MarblePhysics.createBall(45, 15, 3)), { ax: 0, ay: 0 });
+});
+
+test('step accelerates a ball at rest on a booster in its direction', () => {
+    const next = MarblePhysics.step(tiledWorld('<'), MarblePhysics.createBall(25, 25, 3), null, MarblePhysics.FIXED_DT);
+    assert.ok(next.vel.x < 0, `got ${next.vel.x}`);
+    assert.equal(next.vel.y, 0);
+    assert.ok(next.pos.x < 25);
+});
+
+test('isDoor and isKey skip the letters that already have a meaning', () => {
+    assert.equal(MarblePhysics.isDoor('A'), true);
+    assert.equal(MarblePhysics.isKey('a'), true);
+    ['S', 'G', 'O', 'V', 'a', '#', 'AB'].forEach(ch => assert.equal(MarblePhysics.isDoor(ch), false, ch));
+    ['s', 'g', 'o', 'v', 'A', '.'].forEach(ch => assert.equal(MarblePhysics.isKey(ch), false, ch));
+});
+
+test('pickUpKey opens every matching door and removes every key of that letter', () => {
+    const grid = ['a.A.B', 'b.A.a'];
+    const world = MarblePhysics.createWorld(grid, CELL);
+    assert.equal(MarblePhysics.isWall(world, 2, 0), true);
+    const changed = MarblePhysics.pickUpKey(world, 0, 0);
+    assert.deepEqual(changed, [{ r: 0, c: 0 }, { r: 0, c: 2 }, { r: 1, c: 2 }, { r: 1, c: 4 }]);
+    assert.deepEqual(world.grid.map(row => row.join('')), ['....B', 'b....']);
+    assert.equal(MarblePhysics.isWall(world, 2, 0), false);
+    assert.equal(MarblePhysics.isWall(world, 4, 0), true);
+    assert.deepEqual(grid, ['a.A.B', 'b.A.a']);
+});
+
+test('pickUpKey changes nothing on a cell without a key', () => {
+    const world = MarblePhysics.createWorld(['a.A'], CELL);
+    assert.deepEqual(MarblePhysics.pickUpKey(world, 0, 1), []);
+    assert.deepEqual(MarblePhysics.pickUpKey(world, 0, 2), []);
+    assert.deepEqual(MarblePhysics.pickUpKey(world, 3, 0), []);
+    assert.deepEqual(world.grid.map(row => row.join('')), ['a.A']);
+});
+
+test('resolveCircleCollisions keeps a ball out of a locked door', () => {
+    const world = MarblePhysics.createWorld(['.A.'], CELL);
+    const ball = MarblePhysics.createBall(5, 5, 3);
+    assert.ok(MarblePhysics.resolveCircleCollisions(world, ball, 9, 5).x <= 7 + 1e-9);
+});
+
+test('pairTeleporters pairs the two cells of each digit', () => {
+    const result = MarblePhysics.pairTeleporters(['1..2', '.2.1']);
+    assert.deepEqual(result.partners, {
+        '0,0': { r: 1, c: 3 },
+        '1,3': { r: 0, c: 0 },
+        '0,3': { r: 1, c: 1 },
+        '1,1': { r: 0, c: 3 }
+    });
+    assert.deepEqual(result.errors, []);
+});
+
+test('pairTeleporters reports digits that do not occur exactly twice and leaves them unpaired', () => {
+    const result = MarblePhysics.pairTeleporters(['3.1.3', '.1.3.', '5....']);
+    assert.deepEqual(result.partners, { '0,2': { r: 1, c: 1 }, '1,1': { r: 0, c: 2 } });
+    assert.deepEqual(result.errors, ['teleporter 3 appears 3 times instead of 2', 'teleporter 5 appears 1 time instead of 2']);
+});
+
+test('teleporterPartner finds the partner of a paired cell only', () => {
+    const world = MarblePhysics.createWorld(['1.1', '2..'], CELL);
+    assert.deepEqual(MarblePhysics.teleporterPartner(world, 0, 2), { r: 0, c: 0 });
+    assert.equal(MarblePhysics.teleporterPartner(world, 1, 0), null);
+    assert.equal(MarblePhysics.teleporterPartner(world, 0, 1), null);
+});
+
+test('validateObstacles reads moving walls and gates with their defaults', () => {
+    const level = { movers: [{ path: [[0, 0], [3, 0]], size: [2, 1] }], gates: [{ at: [2, 4], open: 1.5 }] };
+    assert.deepEqual(MarblePhysics.validateObstacles(level, 5, 5), {
+        obstacles: {
+            movers: [{ path: [{ x: 0, y: 0 }, { x: 3, y: 0 }], w: 2, h: 1, speed: 2, mode: 'pingpong' }],
+            gates: [{ x: 2, y: 4, w: 1, h: 1, open: 1.5, closed: 2, offset: 0 }]
+        },
+        errors: []
+    });
+});
+
+test('validateObstacles leaves out malformed moving walls and paths outside the grid', () => {
+    const level = {
+        movers: [
+            null,
+            { path: [[0, 0]] },
+            { path: [[0, 0], [4, 0]], size: [2, 1] },
+            { path: [[0, 0], 'x'] },
+            { path: [[0, 0], [0, 4]], speed: 0, mode: 'bounce' }
+        ]
+    };
+    const result = MarblePhysics.validateObstacles(level, 5, 5);
+    assert.deepEqual(result.obstacles.movers, [{ path: [{ x: 0, y: 0 }, { x: 0, y: 4 }], w: 1, h: 1, speed: 2, mode: 'pingpong' }]);
+    assert.deepEqual(result.errors, [
+        'movers[0] must be an object',
+        'movers[1].path must list at least two [col, row] positions inside the grid',
+        'movers[2].path must list at least two [col, row] positions inside the grid',
+        'movers[3].path must list at least two [col, row] positions inside the grid',
+        'movers[4].mode must be one of pingpong, loop',
+        'movers[4].speed must be a number between 0.1 and 10'
+    ]);
+});
+
+test('validateObstacles leaves out malformed gates and gates outside the grid', () => {
+    const level = { gates: [{ at: [5, 0] }, { at: [4, 4], size: [2, 1] }, 'gate', { at: [1, 1], size: [0, 1], closed: 99 }] };
+    const result = MarblePhysics.validateObstacles(level, 5, 5);
+    assert.deepEqual(result.obstacles.gates, [{ x: 1, y: 1, w: 1, h: 1, open: 2, closed: 2, offset: 0 }]);
+    assert.deepEqual(result.errors, [
+        'gates[0].at must be a [col, row] position inside the grid',
+        'gates[1].at must be a [col, row] position inside the grid',
+        'gates[2] must be an object',
+        'gates[3].size must be [width, height] with sizes between 0.25 and 10',
+        'gates[3].closed must be a number between 0.1 and 60'
+    ]);
+});
+
+test('validateObstacles reports movers and gates that are not arrays', () => {
+    const result = MarblePhysics.validateObstacles({ movers: {}, gates: 'none' }, 5, 5);
+    assert.deepEqual(result.obstacles, { movers: [], gates: [] });
+    assert.deepEqual(result.errors, ['movers must be an array', 'gates must be an array']);
+});
+
+test('a timed gate lets the ball through while open and blocks it while closed', () => {
+    const { obstacles } = MarblePhysics.validateObstacles({ gates: [{ at: [3, 0], size: [1, 5], open: 1, closed: 1 }] }, 5, 5);
+    const world = MarblePhysics.createWorld(OPEN_GRID, CELL);
+    const ball = MarblePhysics.createBall(25, 25, 3);
+
+    world.obstacles = MarblePhysics.obstacleRects(obstacles, 0.5);
+    assert.equal(world.obstacles[0].solid, false);
+    assert.deepEqual(MarblePhysics.resolveCircleCollisions(world, ball, 31, 25), { x: 31, y: 25, crushed: false });
+
+    world.obstacles = MarblePhysics.obstacleRects(obstacles, 1.5);
+    assert.equal(world.obstacles[0].solid, true);
+    assert.ok(MarblePhysics.resolveCircleCollisions(world, ball, 28.5, 25).x <= 30 - 3);
+
+    world.obstacles = MarblePhysics.obstacleRects(obstacles, 2.5);
+    assert.equal(world.obstacles[0].solid, false);
+});
+
+test('obstacleRects moves a moving wall along its path and back', () => {
+    const { obstacles } = MarblePhysics.validateObstacles({ movers: [{ path: [[0, 0], [4, 0]], speed: 2 }] }, 5, 5);
+    const at = time => MarblePhysics.obstacleRects(obstacles, time)[0];
+    assert.deepEqual(at(1), { kind: 'mover', x: 2, y: 0, w: 1, h: 1, vx: 2, vy: 0, solid: true });
+    assert.deepEqual(at(3), { kind: 'mover', x: 2, y: 0, w: 1, h: 1, vx: -2, vy: 0, solid: true });
+});
+
+const SWITCH_GRID = ['.....', '..#..', '.....'];
+const SWITCH_SECTION = {
+    groups: { gate: { cells: [[2, 0], [2, 2]] }, bridge: { cells: [[4, 0]], closed: false } },
+    plates: [{ at: [0, 0], group: 'gate' }, { at: [0, 2], group: 'bridge', mode: 'hold' }]
+};
+
+test('validateSwitches reads groups and plates', () => {
+    assert.deepEqual(MarblePhysics.validateSwitches(SWITCH_SECTION, SWITCH_GRID), {
+        switches: {
+            groups: {
+                gate: { cells: [{ r: 0, c: 2 }, { r: 2, c: 2 }], closed: true },
+                bridge: { cells: [{ r: 0, c: 4 }], closed: false }
+            },
+            plates: [{ r: 0, c: 0, group: 'gate', mode: 'toggle' }, { r: 2, c: 0, group: 'bridge', mode: 'hold' }]
+        },
+        errors: []
+    });
+});
+
+test('validateSwitches leaves out invalid groups and plates', () => {
+    const section = {
+        groups: {
+            outside: { cells: [[9, 9]] },
+            onWall: { cells: [[2, 1]] },
+            door: { cells: [[1, 0]], closed: 'yes' },
+            again: { cells: [[1, 0]] }
+        },
+        plates: [
+            { at: [1, 0], group: 'door' },
+            { at: [2, 1], group: 'door' },
+            { at: [0, 0], group: 'missing' },
+            { at: [3, 0], group: 'door', mode: 'push' },
+            { at: [3, 0], group: 'door' },
+            { at: [0.5, 2], group: 'door' }
+        ]
+    };
+    const result = MarblePhysics.validateSwitches(section, SWITCH_GRID);
+    assert.deepEqual(Object.keys(result.switches.groups), ['door']);
+    assert.deepEqual(result.switches.plates, [{ r: 0, c: 3, group: 'door', mode: 'toggle' }]);
+    assert.deepEqual(result.errors, [
+        'switches.groups.outside.cells must list [col, row] cells inside the grid',
+        'switches.groups.onWall.cells must be floor cells',
+        'switches.groups.door.closed must be true or false',
+        'switches.groups.again shares cells with another group',
+        'switches.plates[0] sits on a toggle-wall or another plate',
+        'switches.plates[1].at must be a floor cell',
+        'switches.plates[2].group must name one of the switch groups',
+        'switches.plates[3].mode must be one of toggle, hold',
+        'switches.plates[4] sits on a toggle-wall or another plate',
+        'switches.plates[5].at must be a [col, row] cell inside the grid'
+    ]);
+});
+
+test('validateSwitches rejects sections of the wrong type', () => {
+    assert.deepEqual(MarblePhysics.validateSwitches([], SWITCH_GRID).errors, ['switches must be an object']);
+    assert.deepEqual(MarblePhysics.validateSwitches({ groups: [], plates: {} }, SWITCH_GRID).errors, [
+        'switches.groups must be an object',
+        'switches.plates must be an array'
+    ]);
+});
+
+test('applySwitchLayout places plates and toggle-walls in a copy of the grid', () => {
+    const { switches } = MarblePhysics.validateSwitches(SWITCH_SECTION, SWITCH_GRID);
+    const layout = MarblePhysics.applySwitchLayout(SWITCH_GRID, switches);
+    assert.deepEqual(layout.map(row => row.join('')), ['_.=.-', '..#..', '_.=..']);
+    assert.deepEqual(SWITCH_GRID, ['.....', '..#..', '.....']);
+});
+
+test('updateSwitches flips a group on each press of a toggle plate', () => {
+    const { switches } = MarblePhysics.validateSwitches(SWITCH_SECTION, SWITCH_GRID);
+    const world = MarblePhysics.createWorld(MarblePhysics.applySwitchLayout(SWITCH_GRID, switches), CELL);
+    const state = MarblePhysics.createSwitchState(switches);
+    const onPlate = MarblePhysics.createBall(5, 5, 3);
+    const offPlate = MarblePhysics.createBall(15, 15, 3);
+
+    assert.deepEqual(MarblePhysics.updateSwitches(world, switches, state, onPlate), [{ r: 0, c: 2 }, { r: 2, c: 2 }]);
+    assert.equal(MarblePhysics.isWall(world, 2, 0), false);
+    assert.deepEqual(MarblePhysics.updateSwitches(world, switches, state, onPlate), []);
+    assert.deepEqual(MarblePhysics.updateSwitches(world, switches, state, offPlate), []);
+    assert.deepEqual(MarblePhysics.updateSwitches(world, switches, state, [offPlate, onPlate]), [{ r: 0, c: 2 }, { r: 2, c: 2 }]);
+    assert.equal(MarblePhysics.isWall(world, 2, 0), true);
+});
+
+test('updateSwitches flips a group only while a ball holds a hold plate', () => {
+    const { switches } = MarblePhysics.validateSwitches(SWITCH_SECTION, SWITCH_GRID);
+    const world = MarblePhysics.createWorld(MarblePhysics.applySwitchLayout(SWITCH_GRID, switches), CELL);
+    const state = MarblePhysics.createSwitchState(switches);
+
+    assert.deepEqual(MarblePhysics.updateSwitches(world, switches, state, MarblePhysics.createBall(5, 25, 3)), [{ r: 0, c: 4 }]);
+    assert.equal(MarblePhysics.isWall(world, 4, 0), true);
+    assert.deepEqual(MarblePhysics.updateSwitches(world, switches, state, MarblePhysics.createBall(15, 25, 3)), [{ r: 0, c: 4 }]);
+    assert.equal(MarblePhysics.isWall(world, 4, 0), false);
+});
+
+test('countCollectibles counts the collectibles of string and array grids', () => {
+    assert.equal(MarblePhysics.countCollectibles(['*.*', '#*.']), 3);
+    assert.equal(MarblePhysics.countCollectibles([['*', '.'], ['.', '.']]), 1);
+    assert.equal(MarblePhysics.countCollectibles(['...']), 0);
+});
+
+test('collectTouched picks up the collectibles the ball touches and removes them from the world', () => {
+    const world = MarblePhysics.createWorld(['.....', '.**..', '.....'], CELL);
+    const ball = MarblePhysics.createBall(15, 15, 3);
+    assert.deepEqual(MarblePhysics.collectTouched(world, ball), [{ r: 1, c: 1 }]);
+    assert.equal(MarblePhysics.countCollectibles(world.grid), 1);
+    assert.deepEqual(MarblePhysics.collectTouched(world, ball), []);
+    ball.pos.x = 21;
+    assert.deepEqual(MarblePhysics.collectTouched(world, ball), [{ r: 1, c: 2 }]);
+    assert.equal(MarblePhysics.countCollectibles(world.grid), 0);
+});
+
+test('collectTouched leaves collectibles just out of reach', () => {
+    const world = MarblePhysics.createWorld(['.*.'], CELL);
+    // reach is the ball radius plus COLLECTIBLE_RADIUS_RATIO of a cell: 3 + 3
+    assert.deepEqual(MarblePhysics.collectTouched(world, MarblePhysics.createBall(9, 5, 3)), []);
+    assert.deepEqual(MarblePhysics.collectTouched(world, MarblePhysics.createBall(10, 5, 3)), [{ r: 0, c: 1 }]);
+});
+
+test('validateBumpers places a default bumper in every bumper cell and reads the declared ones', () => {
+    const level = { grid: ['.....', '..@..', '.....'], bumpers: [{ at: [4, 0.5], radius: 0.5, impulse: 20 }] };
+    assert.deepEqual(MarblePhysics.validateBumpers(level), {
+        bumpers: [
+            { x: 2.5, y: 1.5, onGrid: true, radius: 0.35, impulse: 12 },
+            { x: 4, y: 0.5, radius: 0.5, impulse: 20 }
+        ],
+        errors: []
+    });
+});
+
+test('validateBumpers leaves out bumpers outside the grid and ignores invalid settings', () => {
+    const level = { grid: ['...', '...'], bumpers: [{ at: [4, 0] }, { at: [1, 1], impulse: 100 }, null, { at: [1] }] };
+    const result = MarblePhysics.validateBumpers(level);
+    assert.deepEqual(result.bumpers, [{ x: 1, y: 1, radius: 0.35, impulse: 12 }]);
+    assert.deepEqual(result.errors, [
+        'bumpers[0].at must be an [x, y] position inside the grid',
+        'bumpers[1].impulse must be a number between 1 and 50',
+        'bumpers[2].at must be an [x, y] position inside the grid',
+        'bumpers[3].at must be an [x, y] position inside the grid'
+    ]);
+    assert.deepEqual(MarblePhysics.validateBumpers({ grid: ['.'], bumpers: {} }).errors, ['bumpers must be an array']);
+});
+
+test('resolveCircleCollisions fires a ball away from a bumper it touches', () => {
+    const world = openWorld([]);
+    world.bumpers = [{ x: 2.5, y: 2.5, radius: 0.35, impulse: 12 }];
+    const ball = MarblePhysics.createBall(15, 25, 3);
+    ball.vel.x = 10;
+    const bumped = [];
+    const pos = MarblePhysics.resolveCircleCollisions(world, ball, 20, 25, bumped);
+    assert.ok(Math.abs(pos.x - (25 - 6.51)) < 1e-9, `got ${pos.x}`);
+    assert.equal(pos.y, 25);
+    assert.equal(ball.vel.x, -12 * CELL);
+    assert.deepEqual(bumped, [0]);
+});
+
+test('step lists the bumpers hit during the step', () => {
+    const world = openWorld([]);
+    world.bumpers = [{ x: 0.5, y: 0.5, radius: 0.35, impulse: 12 }, { x: 2.5, y: 2.5, radius: 0.35, impulse: 12 }];
+    const ball = MarblePhysics.createBall(18, 25, 3);
+    ball.vel.x = 120;
+    const next = MarblePhysics.step(world, ball, null, MarblePhysics.FIXED_DT);
+    assert.deepEqual(next.bumped, [1]);
+    assert.ok(next.vel.x < 0);
+});
+
+test('collideBalls separates touching marbles and shares their speed', () => {
+    const world = MarblePhysics.createWorld(OPEN_GRID, CELL);
+    const a = MarblePhysics.createBall(20, 25, 3);
+    const b = MarblePhysics.createBall(25, 25, 3);
+    a.vel.x = 50;
+    assert.equal(MarblePhysics.collideBalls(world, a, b), true);
+    assert.ok(Math.abs(a.pos.x - 19.49) < 1e-9 && Math.abs(b.pos.x - 25.51) < 1e-9, `got ${a.pos.x}, ${b.pos.x}`);
+    assert.deepEqual([a.vel.x, b.vel.x], [25, 25]);
+});
+
+test('collideBalls swaps the speed of marbles that bounce fully', () => {
+    const world = MarblePhysics.createWorld(OPEN_GRID, CELL, { restitution: 1 });
+    const a = MarblePhysics.createBall(20, 25, 3);
+    const b = MarblePhysics.createBall(25, 25, 3);
+    a.vel.x = 50;
+    MarblePhysics.collideBalls(world, a, b);
+    assert.deepEqual([a.vel.x, b.vel.x], [0, 50]);
+});
+
+test('collideBalls leaves marbles apart alone', () => {
+    const world = MarblePhysics.createWorld(OPEN_GRID, CELL);
+    const a = MarblePhysics.createBall(10, 25, 3);
+    const b = MarblePhysics.createBall(16, 25, 3);
+    a.vel.x = 50;
+    assert.equal(MarblePhysics.collideBalls(world, a, b), false);
+    assert.deepEqual(a, Object.assign(MarblePhysics.createBall(10, 25, 3), { vel: { x: 50, y: 0 } }));
+    assert.deepEqual(b, MarblePhysics.createBall(16, 25, 3));
+});
+
+test('validateFog reads the fog setting of dark levels', () => {
+    assert.deepEqual(MarblePhysics.validateFog({}), { fog: null, errors: [] });
+    assert.deepEqual(MarblePhysics.validateFog({ fog: false }), { fog: null, errors: [] });
+    assert.deepEqual(MarblePhysics.validateFog({ fog: true }), { fog: { radius: 3, hidePreview: false }, errors: [] });
+    assert.deepEqual(MarblePhysics.validateFog({ fog: { radius: 1.5, hidePreview: true } }), { fog: { radius: 1.5, hidePreview: true }, errors: [] });
+});
+
+test('validateFog replaces invalid settings by the defaults', () => {
+    assert.deepEqual(MarblePhysics.validateFog({ fog: { radius: 20, hidePreview: 'yes' } }), {
+        fog: { radius: 3, hidePreview: false },
+        errors: ['fog.radius must be a number between 1 and 10', 'fog.hidePreview must be true or false']
+    });
+    assert.deepEqual(MarblePhysics.validateFog({ fog: 'dark' }), {
+        fog: { radius: 3, hidePreview: false },
+        errors: ['fog must be true, false or an object']
+    });
+});